@@ -1,18 +1,19 @@
 // Enhanced Picture‑in‑Picture Script v2.6 for Vivaldi
-// Features: Auto-PiP, Blacklist, Boss-Key, Visual Positioning, Stealth Mode, Min Dimensions, Button User Choice
-// Language: English
+// Features: Auto-PiP, Site Rules, Boss-Key, Visual Positioning, Stealth Mode, Min Dimensions, Button User Choice, Document PiP Controls
+// Languages: English, German, Portuguese (follows the browser, selectable in settings)
 // Author: MickyFoley
 
 'use strict';
 
 // —— Configuration Constants ——
-const K_BUTTON_SIZE = 38;
-const K_BUTTON_MARGIN = 15;
 const K_HOVER_TIMEOUT = 2000;
 const K_MAX_Z_INDEX = 2147483647;
+const K_MOUSEMOVE_THROTTLE = 100;
 
 // Storage Keys
-const K_PIP_SIZE_KEY = 'vivaldi.pip.size';
+const K_PIP_SIZE_KEY = 'vivaldi.pip.size'; // Legacy single size, dropped in settings v3
+const K_PIP_SIZES_KEY = 'vivaldi.pip.sizes';
+const K_PIP_SIZE_SAVE_DELAY = 400;
 const K_SETTING_AUTO_PIP = 'vivaldi.pip.auto';
 const K_SETTING_AUTO_DELAY = 'vivaldi.pip.delay';
 const K_SETTING_BLACKLIST = 'vivaldi.pip.blacklist';
@@ -20,10 +21,1215 @@ const K_SETTING_POS = 'vivaldi.pip.position';
 const K_SETTING_MIN_DUR = 'vivaldi.pip.minduration';
 const K_SETTING_SEEK = 'vivaldi.pip.seek';
 const K_SETTING_OPACITY = 'vivaldi.pip.opacity';
-const K_SETTING_SHORTCUT = 'vivaldi.pip.shortcut';
+const K_SETTING_BUTTON_SIZE = 'vivaldi.pip.buttonsize';
+const K_SETTING_BUTTON_MARGIN = 'vivaldi.pip.buttonmargin';
+const K_SETTING_SHORTCUT = 'vivaldi.pip.shortcut'; // Legacy, migrated into the keymap
+const K_SETTING_KEYMAP = 'vivaldi.pip.keymap';
+const K_SETTING_KEYMAP_CODE = 'vivaldi.pip.keymapcode';
+const K_SETTING_AUTO_SCROLL = 'vivaldi.pip.autoscroll';
+const K_SETTING_SCROLL_THRESHOLD = 'vivaldi.pip.scrollthreshold';
+const K_SETTING_SCROLL_DELAY = 'vivaldi.pip.scrolldelay';
+const K_SETTING_RETURN_POLICY = 'vivaldi.pip.returnpolicy';
+const K_SETTING_FOLLOW = 'vivaldi.pip.follow';
 const K_SETTING_MIN_WIDTH = 'vivaldi.pip.minwidth';
 const K_SETTING_MIN_HEIGHT = 'vivaldi.pip.minheight';
 const K_SETTING_HIDE_BUTTON_WHEN_ACTIVE = 'vivaldi.pip.hidebuttonwhenactive';
+const K_SETTING_PIP_MODE = 'vivaldi.pip.mode';
+const K_SETTING_LANGUAGE = 'vivaldi.pip.language';
+const K_SETTING_THEME = 'vivaldi.pip.theme';
+const K_SETTING_ACCENT = 'vivaldi.pip.accent';
+const K_SETTING_ICON = 'vivaldi.pip.icon';
+const K_SETTING_CUSTOM_ICON = 'vivaldi.pip.customicon';
+const K_SETTING_TOOLBAR = 'vivaldi.pip.toolbar';
+const K_SETTING_SCREENSHOT_FORMAT = 'vivaldi.pip.screenshotformat';
+const K_SETTING_SCREENSHOT_TARGET = 'vivaldi.pip.screenshottarget';
+const K_SETTING_SITE_MODE = 'vivaldi.pip.sitemode';
+const K_SETTING_PROFILES = 'vivaldi.pip.profiles';
+const K_SETTING_VERSION = 'vivaldi.pip.version';
+
+// Keyboard actions; an empty default means unbound
+const K_KEY_ACTIONS = {
+  togglePip: { default: 'Alt+P' },
+  seekBack: { default: '' },
+  seekForward: { default: '' },
+  speedDown: { default: '' },
+  speedUp: { default: '' },
+  mute: { default: '' },
+  volumeDown: { default: '' },
+  volumeUp: { default: '' },
+  cycleVideo: { default: '' },
+  screenshot: { default: '' },
+  copyFrame: { default: '' },
+  openSettings: { default: 'Alt+Shift+P' }
+};
+
+const K_DEFAULT_KEYMAP = {};
+Object.keys(K_KEY_ACTIONS).forEach(action => {
+  K_DEFAULT_KEYMAP[action] = K_KEY_ACTIONS[action].default;
+});
+
+// Combos that pages and the browser commonly claim, checked when recording bindings (message ids under common.*)
+const K_COMMON_SHORTCUTS = {
+  'Space': 'playPause',
+  'K': 'playPauseYouTube',
+  'J': 'seekBackYouTube',
+  'L': 'seekForwardYouTube',
+  'F': 'fullscreen',
+  'M': 'mute',
+  'C': 'captions',
+  'ArrowLeft': 'seekBack',
+  'ArrowRight': 'seekForward',
+  'ArrowUp': 'volumeScroll',
+  'ArrowDown': 'volumeScroll',
+  'Escape': 'exitFullscreen',
+  'F5': 'reload',
+  'F11': 'browserFullscreen',
+  'Alt+ArrowLeft': 'back',
+  'Alt+ArrowRight': 'forward',
+  'Ctrl+C': 'copy',
+  'Ctrl+V': 'paste',
+  'Ctrl+F': 'find',
+  'Ctrl+L': 'addressBar',
+  'Ctrl+R': 'reload',
+  'Ctrl+T': 'newTab',
+  'Ctrl+W': 'closeTab',
+  'Ctrl+D': 'bookmark',
+  'Ctrl+P': 'print'
+};
+
+// e.code names that differ from what the key prints
+const K_CODE_KEY_NAMES = {
+  Space: 'Space', Comma: ',', Period: '.', Slash: '/', Backslash: '\\', Minus: '-', Equal: '=',
+  BracketLeft: '[', BracketRight: ']', Semicolon: ';', Quote: "'", Backquote: '`'
+};
+
+// Every MediaSession action we register, so a session can be torn down completely
+const K_MEDIA_SESSION_ACTIONS = [
+  'play', 'pause', 'stop', 'seekbackward', 'seekforward', 'seekto', 'previoustrack', 'nexttrack'
+];
+
+// Metadata extractor confidence; the most confident extractor wins each field
+const K_CONFIDENCE_LOW = 1;
+const K_CONFIDENCE_MEDIUM = 2;
+const K_CONFIDENCE_HIGH = 3;
+const K_METADATA_REFRESH_DELAY = 300;
+
+const K_IMAGE_TYPES = {
+  jpg: 'image/jpeg', jpeg: 'image/jpeg', png: 'image/png', webp: 'image/webp',
+  gif: 'image/gif', avif: 'image/avif', svg: 'image/svg+xml', ico: 'image/x-icon'
+};
+
+// Auto-PiP lifecycle: idle → pending → auto-active, or idle → manual-active
+const K_PIP_IDLE = 'idle';
+const K_PIP_PENDING = 'pending';
+const K_PIP_AUTO_ACTIVE = 'auto-active';
+const K_PIP_MANUAL_ACTIVE = 'manual-active';
+const K_PIP_TRANSITIONS = {
+  [K_PIP_IDLE]: [K_PIP_PENDING, K_PIP_AUTO_ACTIVE, K_PIP_MANUAL_ACTIVE],
+  [K_PIP_PENDING]: [K_PIP_IDLE, K_PIP_AUTO_ACTIVE, K_PIP_MANUAL_ACTIVE],
+  [K_PIP_AUTO_ACTIVE]: [K_PIP_IDLE, K_PIP_AUTO_ACTIVE, K_PIP_MANUAL_ACTIVE],
+  [K_PIP_MANUAL_ACTIVE]: [K_PIP_IDLE, K_PIP_AUTO_ACTIVE, K_PIP_MANUAL_ACTIVE]
+};
+
+// Recent PiP failures kept for inspection; auto-PiP failures in a hidden tab are shown on return
+const K_PIP_FAILURE_LOG_SIZE = 20;
+
+// Target scoring: points per signal, scaled by how strongly it applies
+const K_SCORE_WEIGHTS = {
+  playing: 40,
+  audible: 25,
+  visible: 20,      // × visible area ratio
+  interaction: 30,  // Fades out over K_INTERACTION_WINDOW
+  duration: 10,     // Reached at K_SCORE_FULL_DURATION; live streams count as long
+  size: 10,         // × share of the largest candidate's rendered area
+  loop: -20,
+  mutedAutoplay: -15
+};
+const K_INTERACTION_WINDOW = 120000;
+const K_SCORE_FULL_DURATION = 600;
+
+// Ad players: containers of common ad SDKs, and clips short enough to be a pre-roll
+const K_AD_SELECTORS = [
+  '.ad-showing', '.video-ads', '.ytp-ad-module',
+  '.ima-ad-container', '.vjs-ad-playing', '.vjs-ad-loading', '.jw-flag-ads',
+  '.bmpui-ui-ads-status', '[class*="preroll"]', '[id*="preroll"]',
+  '[id^="google_ads"]', '[data-ad-container]', '.adsbygoogle'
+].join(', ');
+const K_AD_MAX_DURATION = 45;
+
+// Tabs of the same origin share storage and a channel: the last tab to open PiP owns it,
+// and saved settings are reloaded in each of them. Tabs of other origins are not reached.
+const K_TAB_CHANNEL = 'vivaldi-pip';
+const K_TAB_MESSAGE_KEY = 'vivaldi.pip.message'; // Storage-event fallback without BroadcastChannel
+
+// How long a removed PiP video waits for a successor to start playing, and how much of the
+// old video's spot the successor has to cover (of the larger of the two areas)
+const K_FOLLOW_TIMEOUT = 8000;
+const K_FOLLOW_MIN_OVERLAP = 0.5;
+
+// Video registry: DOM changes are batched into one scan, and cached rects expire
+// on scroll/resize/layout changes or after K_RECT_CACHE_TTL
+const K_SCAN_IDLE_TIMEOUT = 200;
+// Minimum gap between the full rescans that back up the incremental one
+const K_FULL_SCAN_INTERVAL = 5000;
+const K_RECT_CACHE_TTL = 500;
+
+// IntersectionObserver steps, fine enough for any visibility threshold setting
+const K_VISIBILITY_STEPS = Array.from({ length: 21 }, (_, i) => i / 20);
+
+const K_PLAYBACK_SPEEDS = [0.25, 0.5, 0.75, 1, 1.25, 1.5, 1.75, 2, 3, 4];
+const K_VOLUME_STEP = 0.1;
+
+// Frame capture
+const K_SCREENSHOT_JPEG_QUALITY = 0.92;
+const K_SCREENSHOT_NAME_MAX = 120;
+
+// Button icons as paths in a 24×24 viewBox; they are drawn as a mask in the theme's icon color
+const K_BUTTON_ICONS = {
+  pip: '<path d="M19 11h-8v6h8v-6zm4 8V4.98C23 3.88 22.1 3 21 3H3c-1.1 0-2 .88-2 1.98V19c0 1.1.9 2 2 2h18c1.1 0 2-.9 2-2zm-2 .02H2V4.97h18v14.05z"/>',
+  'pip-top': '<path d="M19 7h-8v6h8V7zm2-4H3c-1.1 0-2 .9-2 2v14c0 1.1.9 1.98 2 1.98h18c1.1 0 2-.88 2-1.98V5c0-1.1-.9-2-2-2zm0 16.01H3V4.98h18v14.03z"/>',
+  popout: '<path d="M19 19H5V5h7V3H5c-1.11 0-2 .9-2 2v14c0 1.1.89 2 2 2h14c1.1 0 2-.9 2-2v-7h-2v7zM14 3v2h3.59l-9.83 9.83 1.41 1.41L19 6.41V10h2V3h-7z"/>',
+  play: '<path d="M8 5v14l11-7z"/>'
+};
+
+// Actions of the button and the toolbar it expands into on hover, with icons like K_BUTTON_ICONS.
+// `activeIcon` replaces the icon while the action is on; speed shows the current rate instead,
+// and pip uses the buttonIcon setting.
+const K_TOOLBAR_ACTIONS = {
+  pip: {},
+  speed: {},
+  loop: { icon: '<path d="M7 7h10v3l4-4-4-4v3H5v6h2V7zm10 10H7v-3l-4 4 4 4v-3h12v-6h-2v4z"/>' },
+  mute: {
+    icon: '<path d="M3 9v6h4l5 5V4L7 9H3zm13.5 3c0-1.77-1.02-3.29-2.5-4.03v8.05c1.48-.73 2.5-2.25 2.5-4.02zM14 3.23v2.06c2.89.86 5 3.54 5 6.71s-2.11 5.85-5 6.71v2.06c4.01-.91 7-4.49 7-8.77s-2.99-7.86-7-8.77z"/>',
+    activeIcon: '<path d="M16.5 12c0-1.77-1.02-3.29-2.5-4.03v2.21l2.45 2.45c.03-.2.05-.41.05-.63zm2.5 0c0 .94-.2 1.82-.54 2.64l1.51 1.51C20.63 14.91 21 13.5 21 12c0-4.28-2.99-7.86-7-8.77v2.06c2.89.86 5 3.54 5 6.71zM4.27 3L3 4.27 7.73 9H3v6h4l5 5v-6.73l4.25 4.25c-.67.52-1.42.93-2.25 1.18v2.06c1.38-.31 2.63-.95 3.69-1.81L19.73 21 21 19.73l-9-9L4.27 3zM12 4L9.91 6.09 12 8.18V4z"/>'
+  },
+  screenshot: { icon: '<circle cx="12" cy="12" r="3.2"/><path d="M9 2L7.17 4H4c-1.1 0-2 .9-2 2v12c0 1.1.9 2 2 2h16c1.1 0 2-.9 2-2V6c0-1.1-.9-2-2-2h-3.17L15 2H9zm3 15c-2.76 0-5-2.24-5-5s2.24-5 5-5 5 2.24 5 5-2.24 5-5 5z"/>' },
+  disableSite: { icon: '<path d="M12 2C6.48 2 2 6.48 2 12s4.48 10 10 10 10-4.48 10-10S17.52 2 12 2zM4 12c0-4.42 3.58-8 8-8 1.85 0 3.55.63 4.9 1.69L5.69 16.9C4.63 15.55 4 13.85 4 12zm8 8c-1.85 0-3.55-.63-4.9-1.69L18.31 7.1C19.37 8.45 20 10.15 20 12c0 4.42-3.58 8-8 8z"/>' },
+  settings: { icon: '<path d="M3 17v2h6v-2H3zM3 5v2h10V5H3zm10 16v-2h8v-2h-8v-2h-2v6h2zM7 9v2H3v2h4v2h2V9H7zm14 4v-2H11v2h10zm-6-4h2V7h4V5h-4V3h-2v6z"/>' }
+};
+
+// Theme tokens that replace the dark defaults of the stylesheet
+const K_THEME_LIGHT_TOKENS = `
+  --pip-scheme: light;
+  --pip-bg: #fafafa;
+  --pip-bg-raised: #f0f0f0;
+  --pip-bg-sunken: #f4f4f4;
+  --pip-field: #fff;
+  --pip-border: #ddd;
+  --pip-border-strong: #c8c8c8;
+  --pip-border-hover: #999;
+  --pip-text: #222;
+  --pip-text-strong: #000;
+  --pip-text-soft: #333;
+  --pip-text-dim: #555;
+  --pip-text-muted: #666;
+  --pip-warn: #7a4a00;
+  --pip-warn-bg: #fff4e0;
+  --pip-warn-border: #f0c987;
+  --pip-error: #d32f2f;
+  --pip-error-text: #c62828;
+  --pip-overlay: rgba(0,0,0,0.35);
+`;
+
+const K_POSITIONS = [
+  'top-left', 'top-center', 'top-right',
+  'mid-left', 'mid-right',
+  'bot-left', 'bot-center', 'bot-right'
+];
+
+// —— Localization ——
+// One catalog per language; keys missing from a catalog fall back to English.
+// {name} placeholders are filled in by PIP.t_().
+const K_MESSAGES = {
+  en: {
+    'language.name': 'English',
+    'language.auto': 'Browser language',
+
+    'button.title': 'Toggle PiP (Right-click for Settings)',
+    'button.titleShortcut': 'Toggle PiP ({shortcut}) · Right-click for Settings',
+    'button.titleAction': '{action} · Right-click for Settings',
+
+    'toast.bossActivated': 'Boss Key: Activated',
+    'toast.bossToggled': 'Boss Key: Toggled',
+    'toast.noVideo': 'No compatible video stream found.',
+    'toast.speed': 'Speed: {rate}×',
+    'toast.muted': 'Muted',
+    'toast.unmuted': 'Unmuted',
+    'toast.volume': 'Volume: {percent}%',
+    'toast.target': 'Target: video {index} of {count}',
+    'toast.follow': 'PiP moved to the new video',
+    'toast.followBlocked': 'The page replaced the video; click the new one\'s PiP button to continue, the browser needs a click first',
+    'toast.autoFailure': 'Auto-PiP: {message}',
+    'toast.copied': 'Settings copied to clipboard',
+    'toast.copyFailed': 'Clipboard not available, use Export instead',
+    'toast.imported': 'Settings Imported',
+    'toast.saved': 'Settings Saved Successfully',
+    'toast.loopOn': 'Loop: On',
+    'toast.loopOff': 'Loop: Off',
+    'toast.siteDisabled': 'PiP disabled on {host}. Site Rules in the settings turn it back on later.',
+    'toast.siteEnabled': 'PiP enabled again on {host}.',
+    'toast.undo': 'Undo',
+    'toast.captureSaved': 'Screenshot saved: {name}',
+    'toast.captureCopied': 'Screenshot copied to clipboard',
+    'toast.captureNoClipboard': 'Clipboard images not available, screenshot downloaded instead',
+    'toast.captureNoFrame': 'No video frame to capture yet',
+    'toast.captureTainted': 'Cannot capture this video: it comes from another site that does not allow it',
+    'toast.captureFailed': 'Screenshot failed: {message}',
+
+    'failure.no-gesture': 'PiP was blocked: the browser needs a click on the page first',
+    'failure.disabled-by-site': 'PiP is disabled by this site',
+    'failure.no-video-track': 'PiP needs a loaded video track',
+    'failure.already-active': 'PiP is already open',
+    'failure.unsupported': 'This browser cannot show this video in PiP',
+    'failure.unknown': 'PiP not available for this video',
+
+    'action.togglePip': 'Toggle PiP',
+    'action.seekBack': 'Seek Back',
+    'action.seekForward': 'Seek Forward',
+    'action.speedDown': 'Speed Down',
+    'action.speedUp': 'Speed Up',
+    'action.mute': 'Mute / Unmute',
+    'action.volumeDown': 'Volume Down',
+    'action.volumeUp': 'Volume Up',
+    'action.cycleVideo': 'Cycle Target Video',
+    'action.screenshot': 'Screenshot',
+    'action.copyFrame': 'Copy Frame to Clipboard',
+    'action.openSettings': 'Open Settings',
+
+    'common.playPause': 'play/pause on most players',
+    'common.playPauseYouTube': 'play/pause on YouTube',
+    'common.seekBackYouTube': 'seek back on YouTube',
+    'common.seekForwardYouTube': 'seek forward on YouTube',
+    'common.fullscreen': 'fullscreen on most players',
+    'common.mute': 'mute on most players',
+    'common.captions': 'captions on most players',
+    'common.seekBack': 'seek back on most players',
+    'common.seekForward': 'seek forward on most players',
+    'common.volumeScroll': 'volume / scrolling',
+    'common.exitFullscreen': 'exit fullscreen',
+    'common.reload': 'reload',
+    'common.browserFullscreen': 'browser fullscreen',
+    'common.back': 'browser back',
+    'common.forward': 'browser forward',
+    'common.copy': 'copy',
+    'common.paste': 'paste',
+    'common.find': 'find in page',
+    'common.addressBar': 'address bar',
+    'common.newTab': 'new tab',
+    'common.closeTab': 'close tab',
+    'common.bookmark': 'bookmark',
+    'common.print': 'print',
+
+    'setting.autoPip': 'Auto-PiP',
+    'setting.autoDelay': 'Delay',
+    'setting.autoPipOnScroll': 'Auto-PiP on Scroll',
+    'setting.scrollThreshold': 'Visibility Threshold',
+    'setting.scrollDelay': 'Scroll Delay',
+    'setting.returnPolicy': 'On Return to Tab',
+    'setting.followMode': 'Follow Replaced Video',
+    'setting.minDuration': 'Min Duration',
+    'setting.minWidth': 'Min Width',
+    'setting.minHeight': 'Min Height',
+    'setting.hideButtonWhenActive': 'Hide Button',
+    'setting.pipMode': 'PiP Window',
+    'setting.opacity': 'Button Opacity',
+    'setting.buttonSize': 'Button Size',
+    'setting.buttonMargin': 'Button Margin',
+    'setting.toolbarActions': 'Toolbar',
+    'setting.screenshotFormat': 'Screenshot Format',
+    'setting.screenshotTarget': 'Screenshot Target',
+    'setting.seekInterval': 'Seek Interval',
+    'setting.position': 'Button Position',
+    'setting.language': 'Language',
+    'setting.theme': 'Theme',
+    'setting.accentColor': 'Accent Color',
+    'setting.buttonIcon': 'Button Icon',
+    'setting.customIcon': 'Custom Icon',
+    'setting.keymap': 'Keyboard Shortcuts',
+    'setting.keymapUseCode': 'Physical Keys',
+    'setting.blacklist': 'Site Rules',
+    'setting.siteListMode': 'Site Mode',
+
+    'error.unknownSetting': 'Unknown setting "{name}"',
+    'error.boolean': '{label} must be on or off',
+    'error.number': '{label} must be a number',
+    'error.min': '{label} must be at least {min}',
+    'error.max': '{label} must be at most {max}',
+    'error.keymap': '{label} is not a valid keymap',
+    'error.enum': '{label} must be one of: {values}',
+    'error.text': '{label} must be text',
+    'error.color': '{label} must be a #rrggbb color or "system"',
+    'error.svg': '{label} must be SVG markup (<svg>…</svg>)',
+    'error.list': '{label} must be a list of: {values}',
+    'error.corrected': '{error} (stored "{raw}", using {value})',
+
+    'doc.playPause': 'Play / Pause',
+    'doc.seek': 'Seek',
+    'doc.mute': 'Mute',
+    'doc.volume': 'Volume',
+    'doc.speed': 'Playback Speed',
+    'doc.captions': 'Captions',
+    'doc.back': 'Back to Tab',
+    'doc.backLabel': '⤶ Tab',
+
+    'bucket.portrait': 'Portrait',
+    'bucket.square': 'Square',
+    'bucket.standard': '4:3',
+    'bucket.wide': '16:9',
+    'bucket.ultrawide': 'Ultrawide',
+    'sizes.entry': '{bucket}: {width} × {height}',
+    'sizes.none': 'No sizes remembered for this site',
+
+    'rules.invalidUrl': 'Not a valid URL',
+    'rules.invalidHost': 'Not a valid host',
+    'rules.on': 'PiP enhancement runs',
+    'rules.off': 'PiP enhancement is off',
+    'rules.noMatch': 'No rule matched → {verdict}',
+    'rules.matchRule': 'Line {line} rule "{source}" → {verdict}',
+    'rules.matchException': 'Line {line} exception "{source}" → {verdict}',
+    'rules.ignored': 'Line {line} ignored: {error}',
+
+    'import.invalidJson': 'Not valid JSON: {error}',
+    'import.notExport': 'Not a PiP settings export',
+    'import.readFailed': 'Could not read the file: {error}',
+    'import.newer': 'Made by a newer version of the script (v{version})',
+    'import.unknownSetting': 'Unknown setting "{name}" skipped',
+    'import.usingValue': '{error}, using {value}',
+    'import.notPerSite': '"{name}" cannot be set per site',
+    'import.siteSkipped': '{site}: {error}, skipped',
+    'import.noChanges': 'No changes',
+    'import.unsavedEdits': 'This dialog has unsaved edits that the import would discard. Save first to keep them.',
+    'import.profileAdded': '+ Profile {site}',
+    'import.profileRemoved': '− Profile {site}',
+    'import.profileChanged': '~ Profile {site}',
+
+    'modal.title': 'PiP Configuration',
+    'modal.close': 'Close',
+    'scope.global': 'Defaults',
+    'scope.site': 'Site Overrides',
+    'scope.overrides': '{count} value(s) overridden on {site}',
+    'scope.storage': 'Both are saved on {site} only; other sites keep their own settings',
+    'badge.overridden': 'Site ↺',
+    'badge.inherited': 'Inherited',
+    'badge.overriddenTitle': 'Overridden for this site, click to inherit the default',
+    'badge.inheritedTitle': 'Uses the default',
+
+    'section.automation': 'Automation & Behavior',
+    'section.appearance': 'Appearance & Control',
+    'section.position': 'Button Position',
+    'section.keys': 'Keyboard Shortcuts',
+    'section.sites': 'Site Rules (One per line)',
+    'section.import': 'Import Settings',
+    'section.reset': 'Reset',
+    'section.resetTitle': 'Restore this section to its defaults',
+
+    'field.autoPip': 'Enable Auto-PiP on Tab Switch',
+    'field.returnPolicy': 'On Return to Tab:',
+    'field.returnExitAuto': 'Exit if auto-started',
+    'field.returnExit': 'Always exit',
+    'field.returnStay': 'Keep PiP open',
+    'field.autoPipOnScroll': 'Enable Auto-PiP When Scrolled Out of View',
+    'field.autoPipOnScrollHint': 'Browsers only allow this shortly after a click or key press on the page, so most scroll-outs are skipped. Auto-PiP on tab switch is not affected.',
+    'field.followMode': 'Follow When the Page Replaces the Video',
+    'field.autoDelay': 'Delay (ms)',
+    'field.minDuration': 'Min Duration (s)',
+    'field.scrollDelay': 'Scroll Delay (ms)',
+    'field.scrollThreshold': 'Visible Below (0–1)',
+    'field.minWidth': 'Min Width (px)',
+    'field.minHeight': 'Min Height (px)',
+    'field.hideButtonWhenActive': 'Hide Button When PiP is Active',
+    'field.pipMode': 'PiP Window:',
+    'field.pipModeNative': 'Native',
+    'field.pipModeDocument': 'Custom Controls',
+    'field.pipModeHint': 'Custom controls need Document PiP; the native window is used instead.',
+    'field.opacity': 'Button Opacity (Idle):',
+    'field.buttonSize': 'Button Size (px)',
+    'field.buttonMargin': 'Edge Margin (px)',
+    'field.toolbarActions': 'Toolbar on Hover:',
+    'field.toolbarHint': 'The first ticked action is the button itself; the others unfold beside it on hover, in this order. With nothing ticked the button toggles PiP.',
+    'field.moveUp': 'Move {action} up',
+    'field.moveDown': 'Move {action} down',
+    'field.screenshotFormat': 'Screenshot Format:',
+    'field.screenshotTarget': 'Screenshot To:',
+    'field.screenshotDownload': 'Download',
+    'field.screenshotClipboard': 'Clipboard (PNG)',
+    'field.seekInterval': 'Seek Interval (sec):',
+    'field.language': 'Language:',
+    'field.theme': 'Theme:',
+    'field.themeDark': 'Dark',
+    'field.themeLight': 'Light',
+    'field.themeAuto': 'Follow system',
+    'field.accent': 'Accent:',
+    'field.accentCustom': 'Custom color',
+    'field.accentSystem': 'Browser accent',
+    'field.accentColor': 'Accent color',
+    'field.icon': 'Button Icon:',
+    'field.customIcon': 'Custom icon SVG (drawn in one color)',
+    'field.preview': 'Preview:',
+    'field.sizes': 'Remembered Window Sizes:',
+    'field.sizesHint': 'Document PiP windows open at these sizes. The browser\'s own PiP window cannot be resized by the page, so it keeps the size the browser picks.',
+    'field.sizesClear': 'Clear Sizes',
+    'field.keymapUseCode': 'Match physical keys (ignore keyboard layout)',
+    'field.keymapHint': 'Click a field and press the keys. Esc cancels, Backspace unbinds. Shortcuts are ignored while typing in text fields, and on disabled sites all but Open Settings are.',
+    'field.siteListMode': 'Mode:',
+    'field.siteBlock': 'Skip listed sites',
+    'field.siteAllow': 'Only listed sites',
+    'field.siteRulesHint': 'host · *.domain · host/path · /regex/ · # comment · !exception',
+    'field.ruleTest': 'Test a URL...',
+    'field.importText': 'Paste an exported settings file, or load one...',
+
+    'icon.pip': 'Picture-in-picture',
+    'icon.pip-top': 'Picture-in-picture (top)',
+    'icon.popout': 'Pop out',
+    'icon.play': 'Play',
+    'icon.custom': 'Custom SVG',
+    'toolbar.label': 'Video actions',
+    'toolbar.pip': 'Picture-in-Picture',
+    'toolbar.speed': 'Playback speed (Shift+click: slower)',
+    'toolbar.loop': 'Loop',
+    'toolbar.mute': 'Mute / Unmute',
+    'toolbar.screenshot': 'Screenshot (Shift+click: copy to clipboard)',
+    'toolbar.disableSite': 'Disable on this site',
+    'toolbar.settings': 'Settings',
+
+    'position.top-left': 'Top left',
+    'position.top-center': 'Top center',
+    'position.top-right': 'Top right',
+    'position.mid-left': 'Middle left',
+    'position.mid-right': 'Middle right',
+    'position.bot-left': 'Bottom left',
+    'position.bot-center': 'Bottom center',
+    'position.bot-right': 'Bottom right',
+
+    'keys.recording': 'Press keys...',
+    'keys.unbound': 'Unbound',
+    'keys.remove': 'Remove binding',
+    'keys.removeAction': 'Remove binding for {action}',
+    'keys.sameAs': 'Same keys as "{action}"',
+    'keys.common': 'Commonly used for {use}',
+    'keys.rerecord': '{count} shortcut(s) could not be converted and were unbound; record them again',
+
+    'footer.export': 'Export',
+    'footer.exportTitle': 'Download all settings as JSON',
+    'footer.copy': 'Copy',
+    'footer.copyTitle': 'Copy all settings as JSON',
+    'footer.import': 'Import...',
+    'footer.resetAll': 'Reset All',
+    'footer.resetAllTitle': 'Restore every value in this scope to its default',
+    'footer.save': 'Save Settings',
+    'footer.saveTitle': 'Applies at once in every open tab of this site; tabs on other sites keep their own settings',
+    'footer.cancel': 'Cancel',
+    'import.load': 'Load File...',
+    'import.apply': 'Apply Import',
+    'import.applyAnyway': 'Apply and Discard Edits',
+    'import.close': 'Close'
+  },
+
+  de: {
+    'language.name': 'Deutsch',
+    'language.auto': 'Browsersprache',
+
+    'button.title': 'PiP umschalten (Rechtsklick für Einstellungen)',
+    'button.titleShortcut': 'PiP umschalten ({shortcut}) · Rechtsklick für Einstellungen',
+    'button.titleAction': '{action} · Rechtsklick für Einstellungen',
+
+    'toast.bossActivated': 'Boss-Taste: Aktiviert',
+    'toast.bossToggled': 'Boss-Taste: Umgeschaltet',
+    'toast.noVideo': 'Kein kompatibler Videostream gefunden.',
+    'toast.speed': 'Geschwindigkeit: {rate}×',
+    'toast.muted': 'Stumm',
+    'toast.unmuted': 'Ton an',
+    'toast.volume': 'Lautstärke: {percent} %',
+    'toast.target': 'Ziel: Video {index} von {count}',
+    'toast.follow': 'PiP ist zum neuen Video gewechselt',
+    'toast.followBlocked': 'Die Seite hat das Video ersetzt; zum Fortsetzen den PiP-Button des neuen Videos anklicken, der Browser braucht zuerst einen Klick',
+    'toast.autoFailure': 'Auto-PiP: {message}',
+    'toast.copied': 'Einstellungen in die Zwischenablage kopiert',
+    'toast.copyFailed': 'Zwischenablage nicht verfügbar, bitte Exportieren verwenden',
+    'toast.imported': 'Einstellungen importiert',
+    'toast.saved': 'Einstellungen gespeichert',
+    'toast.loopOn': 'Endlosschleife: An',
+    'toast.loopOff': 'Endlosschleife: Aus',
+    'toast.siteDisabled': 'PiP auf {host} deaktiviert. Später wieder einschalten unter Seitenregeln in den Einstellungen.',
+    'toast.siteEnabled': 'PiP auf {host} wieder aktiviert.',
+    'toast.undo': 'Rückgängig',
+    'toast.captureSaved': 'Bildschirmfoto gespeichert: {name}',
+    'toast.captureCopied': 'Bildschirmfoto in die Zwischenablage kopiert',
+    'toast.captureNoClipboard': 'Bilder in der Zwischenablage nicht verfügbar, Bildschirmfoto stattdessen heruntergeladen',
+    'toast.captureNoFrame': 'Noch kein Videobild zum Aufnehmen',
+    'toast.captureTainted': 'Aufnahme nicht möglich: Das Video stammt von einer anderen Seite, die das nicht erlaubt',
+    'toast.captureFailed': 'Bildschirmfoto fehlgeschlagen: {message}',
+
+    'failure.no-gesture': 'PiP wurde blockiert: Der Browser braucht zuerst einen Klick auf die Seite',
+    'failure.disabled-by-site': 'PiP ist auf dieser Seite deaktiviert',
+    'failure.no-video-track': 'PiP braucht eine geladene Videospur',
+    'failure.already-active': 'PiP ist bereits geöffnet',
+    'failure.unsupported': 'Dieser Browser kann dieses Video nicht in PiP zeigen',
+    'failure.unknown': 'PiP ist für dieses Video nicht verfügbar',
+
+    'action.togglePip': 'PiP umschalten',
+    'action.seekBack': 'Zurückspulen',
+    'action.seekForward': 'Vorspulen',
+    'action.speedDown': 'Langsamer',
+    'action.speedUp': 'Schneller',
+    'action.mute': 'Stumm / Ton an',
+    'action.volumeDown': 'Leiser',
+    'action.volumeUp': 'Lauter',
+    'action.cycleVideo': 'Zielvideo wechseln',
+    'action.screenshot': 'Bildschirmfoto',
+    'action.copyFrame': 'Videobild kopieren',
+    'action.openSettings': 'Einstellungen öffnen',
+
+    'common.playPause': 'Wiedergabe/Pause in den meisten Playern',
+    'common.playPauseYouTube': 'Wiedergabe/Pause auf YouTube',
+    'common.seekBackYouTube': 'Zurückspulen auf YouTube',
+    'common.seekForwardYouTube': 'Vorspulen auf YouTube',
+    'common.fullscreen': 'Vollbild in den meisten Playern',
+    'common.mute': 'Stummschalten in den meisten Playern',
+    'common.captions': 'Untertitel in den meisten Playern',
+    'common.seekBack': 'Zurückspulen in den meisten Playern',
+    'common.seekForward': 'Vorspulen in den meisten Playern',
+    'common.volumeScroll': 'Lautstärke / Scrollen',
+    'common.exitFullscreen': 'Vollbild beenden',
+    'common.reload': 'Neu laden',
+    'common.browserFullscreen': 'Browser-Vollbild',
+    'common.back': 'Zurück im Browser',
+    'common.forward': 'Vorwärts im Browser',
+    'common.copy': 'Kopieren',
+    'common.paste': 'Einfügen',
+    'common.find': 'Suchen auf der Seite',
+    'common.addressBar': 'Adressleiste',
+    'common.newTab': 'Neuer Tab',
+    'common.closeTab': 'Tab schließen',
+    'common.bookmark': 'Lesezeichen',
+    'common.print': 'Drucken',
+
+    'setting.autoPip': 'Auto-PiP',
+    'setting.autoDelay': 'Verzögerung',
+    'setting.autoPipOnScroll': 'Auto-PiP beim Scrollen',
+    'setting.scrollThreshold': 'Sichtbarkeitsschwelle',
+    'setting.scrollDelay': 'Scroll-Verzögerung',
+    'setting.returnPolicy': 'Bei Rückkehr zum Tab',
+    'setting.followMode': 'Ersetztem Video folgen',
+    'setting.minDuration': 'Mindestdauer',
+    'setting.minWidth': 'Mindestbreite',
+    'setting.minHeight': 'Mindesthöhe',
+    'setting.hideButtonWhenActive': 'Button ausblenden',
+    'setting.pipMode': 'PiP-Fenster',
+    'setting.opacity': 'Button-Deckkraft',
+    'setting.buttonSize': 'Button-Größe',
+    'setting.buttonMargin': 'Button-Abstand',
+    'setting.toolbarActions': 'Werkzeugleiste',
+    'setting.screenshotFormat': 'Bildschirmfoto-Format',
+    'setting.screenshotTarget': 'Bildschirmfoto-Ziel',
+    'setting.seekInterval': 'Sprungweite',
+    'setting.position': 'Button-Position',
+    'setting.language': 'Sprache',
+    'setting.theme': 'Design',
+    'setting.accentColor': 'Akzentfarbe',
+    'setting.buttonIcon': 'Button-Symbol',
+    'setting.customIcon': 'Eigenes Symbol',
+    'setting.keymap': 'Tastenkürzel',
+    'setting.keymapUseCode': 'Physische Tasten',
+    'setting.blacklist': 'Seitenregeln',
+    'setting.siteListMode': 'Seitenmodus',
+
+    'error.unknownSetting': 'Unbekannte Einstellung "{name}"',
+    'error.boolean': '{label} muss an oder aus sein',
+    'error.number': '{label} muss eine Zahl sein',
+    'error.min': '{label} muss mindestens {min} sein',
+    'error.max': '{label} darf höchstens {max} sein',
+    'error.keymap': '{label} ist keine gültige Tastenbelegung',
+    'error.enum': '{label} muss einer dieser Werte sein: {values}',
+    'error.text': '{label} muss Text sein',
+    'error.color': '{label} muss eine #rrggbb-Farbe oder "system" sein',
+    'error.svg': '{label} muss SVG-Code sein (<svg>…</svg>)',
+    'error.list': '{label} muss eine Liste aus {values} sein',
+    'error.corrected': '{error} (gespeichert "{raw}", verwendet {value})',
+
+    'doc.playPause': 'Wiedergabe / Pause',
+    'doc.seek': 'Position',
+    'doc.mute': 'Stumm',
+    'doc.volume': 'Lautstärke',
+    'doc.speed': 'Wiedergabegeschwindigkeit',
+    'doc.captions': 'Untertitel',
+    'doc.back': 'Zurück zum Tab',
+    'doc.backLabel': '⤶ Tab',
+
+    'bucket.portrait': 'Hochformat',
+    'bucket.square': 'Quadratisch',
+    'bucket.standard': '4:3',
+    'bucket.wide': '16:9',
+    'bucket.ultrawide': 'Ultrabreit',
+    'sizes.entry': '{bucket}: {width} × {height}',
+    'sizes.none': 'Für diese Seite sind keine Größen gespeichert',
+
+    'rules.invalidUrl': 'Keine gültige URL',
+    'rules.invalidHost': 'Kein gültiger Host',
+    'rules.on': 'PiP-Erweiterung aktiv',
+    'rules.off': 'PiP-Erweiterung aus',
+    'rules.noMatch': 'Keine Regel passt → {verdict}',
+    'rules.matchRule': 'Zeile {line}, Regel "{source}" → {verdict}',
+    'rules.matchException': 'Zeile {line}, Ausnahme "{source}" → {verdict}',
+    'rules.ignored': 'Zeile {line} ignoriert: {error}',
+
+    'import.invalidJson': 'Kein gültiges JSON: {error}',
+    'import.notExport': 'Kein Export von PiP-Einstellungen',
+    'import.readFailed': 'Datei konnte nicht gelesen werden: {error}',
+    'import.newer': 'Von einer neueren Version des Skripts erstellt (v{version})',
+    'import.unknownSetting': 'Unbekannte Einstellung "{name}" übersprungen',
+    'import.usingValue': '{error}, verwendet {value}',
+    'import.notPerSite': '"{name}" kann nicht pro Seite festgelegt werden',
+    'import.siteSkipped': '{site}: {error}, übersprungen',
+    'import.noChanges': 'Keine Änderungen',
+    'import.unsavedEdits': 'Dieser Dialog enthält ungespeicherte Änderungen, die der Import verwerfen würde. Zuerst speichern, um sie zu behalten.',
+    'import.profileAdded': '+ Profil {site}',
+    'import.profileRemoved': '− Profil {site}',
+    'import.profileChanged': '~ Profil {site}',
+
+    'modal.title': 'PiP-Einstellungen',
+    'modal.close': 'Schließen',
+    'scope.global': 'Standardwerte',
+    'scope.site': 'Seitenausnahmen',
+    'scope.overrides': '{count} Wert(e) für {site} überschrieben',
+    'scope.storage': 'Beides wird nur für {site} gespeichert; andere Seiten behalten ihre eigenen Einstellungen',
+    'badge.overridden': 'Seite ↺',
+    'badge.inherited': 'Geerbt',
+    'badge.overriddenTitle': 'Für diese Seite überschrieben, klicken, um den Standardwert zu übernehmen',
+    'badge.inheritedTitle': 'Verwendet den Standardwert',
+
+    'section.automation': 'Automatik & Verhalten',
+    'section.appearance': 'Darstellung & Steuerung',
+    'section.position': 'Button-Position',
+    'section.keys': 'Tastenkürzel',
+    'section.sites': 'Seitenregeln (eine pro Zeile)',
+    'section.import': 'Einstellungen importieren',
+    'section.reset': 'Zurücksetzen',
+    'section.resetTitle': 'Diesen Abschnitt auf die Standardwerte zurücksetzen',
+
+    'field.autoPip': 'Auto-PiP beim Tabwechsel',
+    'field.returnPolicy': 'Bei Rückkehr zum Tab:',
+    'field.returnExitAuto': 'Beenden, wenn automatisch gestartet',
+    'field.returnExit': 'Immer beenden',
+    'field.returnStay': 'PiP offen lassen',
+    'field.autoPipOnScroll': 'Auto-PiP, wenn aus dem Bild gescrollt',
+    'field.autoPipOnScrollHint': 'Browser erlauben das nur kurz nach einem Klick oder Tastendruck auf der Seite, daher werden die meisten Scrollvorgänge übergangen. Auto-PiP beim Tabwechsel ist nicht betroffen.',
+    'field.followMode': 'Folgen, wenn die Seite das Video ersetzt',
+    'field.autoDelay': 'Verzögerung (ms)',
+    'field.minDuration': 'Mindestdauer (s)',
+    'field.scrollDelay': 'Scroll-Verzögerung (ms)',
+    'field.scrollThreshold': 'Sichtbar unter (0–1)',
+    'field.minWidth': 'Mindestbreite (px)',
+    'field.minHeight': 'Mindesthöhe (px)',
+    'field.hideButtonWhenActive': 'Button ausblenden, während PiP aktiv ist',
+    'field.pipMode': 'PiP-Fenster:',
+    'field.pipModeNative': 'Nativ',
+    'field.pipModeDocument': 'Eigene Steuerung',
+    'field.pipModeHint': 'Eigene Steuerung braucht Document PiP; stattdessen wird das native Fenster verwendet.',
+    'field.opacity': 'Button-Deckkraft (inaktiv):',
+    'field.buttonSize': 'Button-Größe (px)',
+    'field.buttonMargin': 'Randabstand (px)',
+    'field.toolbarActions': 'Werkzeugleiste beim Überfahren:',
+    'field.toolbarHint': 'Die erste angehakte Aktion ist der Button selbst; die übrigen klappen beim Überfahren in dieser Reihenfolge daneben auf. Ist nichts angehakt, schaltet der Button PiP um.',
+    'field.moveUp': '{action} nach oben',
+    'field.moveDown': '{action} nach unten',
+    'field.screenshotFormat': 'Bildschirmfoto-Format:',
+    'field.screenshotTarget': 'Bildschirmfoto nach:',
+    'field.screenshotDownload': 'Download',
+    'field.screenshotClipboard': 'Zwischenablage (PNG)',
+    'field.seekInterval': 'Sprungweite (s):',
+    'field.language': 'Sprache:',
+    'field.theme': 'Design:',
+    'field.themeDark': 'Dunkel',
+    'field.themeLight': 'Hell',
+    'field.themeAuto': 'Wie das System',
+    'field.accent': 'Akzent:',
+    'field.accentCustom': 'Eigene Farbe',
+    'field.accentSystem': 'Browser-Akzent',
+    'field.accentColor': 'Akzentfarbe',
+    'field.icon': 'Button-Symbol:',
+    'field.customIcon': 'Eigenes SVG-Symbol (einfarbig dargestellt)',
+    'field.preview': 'Vorschau:',
+    'field.sizes': 'Gespeicherte Fenstergrößen:',
+    'field.sizesHint': 'Document-PiP-Fenster öffnen sich in diesen Größen. Das eigene PiP-Fenster des Browsers kann die Seite nicht verändern, es behält die Größe, die der Browser wählt.',
+    'field.sizesClear': 'Größen löschen',
+    'field.keymapUseCode': 'Physische Tasten verwenden (Tastaturlayout ignorieren)',
+    'field.keymapHint': 'Feld anklicken und Tasten drücken. Esc bricht ab, Rücktaste entfernt die Belegung. In Textfeldern werden Kürzel ignoriert, auf deaktivierten Seiten alle außer „Einstellungen öffnen“.',
+    'field.siteListMode': 'Modus:',
+    'field.siteBlock': 'Aufgeführte Seiten überspringen',
+    'field.siteAllow': 'Nur aufgeführte Seiten',
+    'field.siteRulesHint': 'host · *.domain · host/pfad · /regex/ · # Kommentar · !Ausnahme',
+    'field.ruleTest': 'URL testen...',
+    'field.importText': 'Exportierte Einstellungen einfügen oder Datei laden...',
+
+    'icon.pip': 'Bild-im-Bild',
+    'icon.pip-top': 'Bild-im-Bild (oben)',
+    'icon.popout': 'Auskoppeln',
+    'icon.play': 'Wiedergabe',
+    'icon.custom': 'Eigenes SVG',
+    'toolbar.label': 'Videoaktionen',
+    'toolbar.pip': 'Bild-im-Bild',
+    'toolbar.speed': 'Wiedergabegeschwindigkeit (Umschalt+Klick: langsamer)',
+    'toolbar.loop': 'Endlosschleife',
+    'toolbar.mute': 'Stumm / Ton an',
+    'toolbar.screenshot': 'Bildschirmfoto (Umschalt+Klick: in die Zwischenablage)',
+    'toolbar.disableSite': 'Auf dieser Seite deaktivieren',
+    'toolbar.settings': 'Einstellungen',
+
+    'position.top-left': 'Oben links',
+    'position.top-center': 'Oben mittig',
+    'position.top-right': 'Oben rechts',
+    'position.mid-left': 'Mitte links',
+    'position.mid-right': 'Mitte rechts',
+    'position.bot-left': 'Unten links',
+    'position.bot-center': 'Unten mittig',
+    'position.bot-right': 'Unten rechts',
+
+    'keys.recording': 'Tasten drücken...',
+    'keys.unbound': 'Nicht belegt',
+    'keys.remove': 'Belegung entfernen',
+    'keys.removeAction': 'Belegung für {action} entfernen',
+    'keys.sameAs': 'Gleiche Tasten wie "{action}"',
+    'keys.common': 'Üblich für: {use}',
+    'keys.rerecord': '{count} Kürzel konnten nicht umgewandelt werden und wurden entfernt; bitte neu aufnehmen',
+
+    'footer.export': 'Exportieren',
+    'footer.exportTitle': 'Alle Einstellungen als JSON herunterladen',
+    'footer.copy': 'Kopieren',
+    'footer.copyTitle': 'Alle Einstellungen als JSON kopieren',
+    'footer.import': 'Importieren...',
+    'footer.resetAll': 'Alles zurücksetzen',
+    'footer.resetAllTitle': 'Alle Werte in diesem Bereich auf die Standardwerte zurücksetzen',
+    'footer.save': 'Einstellungen speichern',
+    'footer.saveTitle': 'Gilt sofort in allen offenen Tabs dieser Seite; Tabs anderer Seiten behalten ihre eigenen Einstellungen',
+    'footer.cancel': 'Abbrechen',
+    'import.load': 'Datei laden...',
+    'import.apply': 'Import anwenden',
+    'import.applyAnyway': 'Anwenden und Änderungen verwerfen',
+    'import.close': 'Schließen'
+  },
+
+  pt: {
+    'language.name': 'Português',
+    'language.auto': 'Idioma do navegador',
+
+    'button.title': 'Alternar PiP (clique direito para configurações)',
+    'button.titleShortcut': 'Alternar PiP ({shortcut}) · Clique direito para configurações',
+    'button.titleAction': '{action} · Clique direito para configurações',
+
+    'toast.bossActivated': 'Tecla de pânico: ativada',
+    'toast.bossToggled': 'Tecla de pânico: alternada',
+    'toast.noVideo': 'Nenhum vídeo compatível encontrado.',
+    'toast.speed': 'Velocidade: {rate}×',
+    'toast.muted': 'Sem som',
+    'toast.unmuted': 'Som ativado',
+    'toast.volume': 'Volume: {percent}%',
+    'toast.target': 'Alvo: vídeo {index} de {count}',
+    'toast.follow': 'O PiP passou para o novo vídeo',
+    'toast.followBlocked': 'A página substituiu o vídeo; clique no botão de PiP do novo vídeo para continuar, o navegador precisa de um clique antes',
+    'toast.autoFailure': 'Auto-PiP: {message}',
+    'toast.copied': 'Configurações copiadas para a área de transferência',
+    'toast.copyFailed': 'Área de transferência indisponível, use Exportar',
+    'toast.imported': 'Configurações importadas',
+    'toast.saved': 'Configurações salvas',
+    'toast.loopOn': 'Repetir: ativado',
+    'toast.loopOff': 'Repetir: desativado',
+    'toast.siteDisabled': 'PiP desativado em {host}. Reative depois em Regras de sites nas configurações.',
+    'toast.siteEnabled': 'PiP reativado em {host}.',
+    'toast.undo': 'Desfazer',
+    'toast.captureSaved': 'Captura salva: {name}',
+    'toast.captureCopied': 'Captura copiada para a área de transferência',
+    'toast.captureNoClipboard': 'Imagens na área de transferência indisponíveis, captura baixada no lugar',
+    'toast.captureNoFrame': 'Ainda não há quadro de vídeo para capturar',
+    'toast.captureTainted': 'Não é possível capturar este vídeo: ele vem de outro site que não permite',
+    'toast.captureFailed': 'Falha na captura: {message}',
+
+    'failure.no-gesture': 'PiP bloqueado: o navegador precisa de um clique na página primeiro',
+    'failure.disabled-by-site': 'O PiP está desativado neste site',
+    'failure.no-video-track': 'O PiP precisa de uma faixa de vídeo carregada',
+    'failure.already-active': 'O PiP já está aberto',
+    'failure.unsupported': 'Este navegador não consegue mostrar este vídeo em PiP',
+    'failure.unknown': 'PiP indisponível para este vídeo',
+
+    'action.togglePip': 'Alternar PiP',
+    'action.seekBack': 'Voltar',
+    'action.seekForward': 'Avançar',
+    'action.speedDown': 'Mais devagar',
+    'action.speedUp': 'Mais rápido',
+    'action.mute': 'Silenciar / Ativar som',
+    'action.volumeDown': 'Diminuir volume',
+    'action.volumeUp': 'Aumentar volume',
+    'action.cycleVideo': 'Alternar vídeo alvo',
+    'action.screenshot': 'Captura de tela',
+    'action.copyFrame': 'Copiar quadro',
+    'action.openSettings': 'Abrir configurações',
+
+    'common.playPause': 'reproduzir/pausar na maioria dos players',
+    'common.playPauseYouTube': 'reproduzir/pausar no YouTube',
+    'common.seekBackYouTube': 'voltar no YouTube',
+    'common.seekForwardYouTube': 'avançar no YouTube',
+    'common.fullscreen': 'tela cheia na maioria dos players',
+    'common.mute': 'silenciar na maioria dos players',
+    'common.captions': 'legendas na maioria dos players',
+    'common.seekBack': 'voltar na maioria dos players',
+    'common.seekForward': 'avançar na maioria dos players',
+    'common.volumeScroll': 'volume / rolagem',
+    'common.exitFullscreen': 'sair da tela cheia',
+    'common.reload': 'recarregar',
+    'common.browserFullscreen': 'tela cheia do navegador',
+    'common.back': 'voltar no navegador',
+    'common.forward': 'avançar no navegador',
+    'common.copy': 'copiar',
+    'common.paste': 'colar',
+    'common.find': 'localizar na página',
+    'common.addressBar': 'barra de endereço',
+    'common.newTab': 'nova aba',
+    'common.closeTab': 'fechar aba',
+    'common.bookmark': 'favoritos',
+    'common.print': 'imprimir',
+
+    'setting.autoPip': 'Auto-PiP',
+    'setting.autoDelay': 'Atraso',
+    'setting.autoPipOnScroll': 'Auto-PiP ao rolar',
+    'setting.scrollThreshold': 'Limite de visibilidade',
+    'setting.scrollDelay': 'Atraso de rolagem',
+    'setting.returnPolicy': 'Ao voltar para a aba',
+    'setting.followMode': 'Seguir vídeo substituído',
+    'setting.minDuration': 'Duração mínima',
+    'setting.minWidth': 'Largura mínima',
+    'setting.minHeight': 'Altura mínima',
+    'setting.hideButtonWhenActive': 'Ocultar botão',
+    'setting.pipMode': 'Janela PiP',
+    'setting.opacity': 'Opacidade do botão',
+    'setting.buttonSize': 'Tamanho do botão',
+    'setting.buttonMargin': 'Margem do botão',
+    'setting.toolbarActions': 'Barra de ferramentas',
+    'setting.screenshotFormat': 'Formato da captura',
+    'setting.screenshotTarget': 'Destino da captura',
+    'setting.seekInterval': 'Intervalo de salto',
+    'setting.position': 'Posição do botão',
+    'setting.language': 'Idioma',
+    'setting.theme': 'Tema',
+    'setting.accentColor': 'Cor de destaque',
+    'setting.buttonIcon': 'Ícone do botão',
+    'setting.customIcon': 'Ícone personalizado',
+    'setting.keymap': 'Atalhos de teclado',
+    'setting.keymapUseCode': 'Teclas físicas',
+    'setting.blacklist': 'Regras de sites',
+    'setting.siteListMode': 'Modo de sites',
+
+    'error.unknownSetting': 'Configuração desconhecida "{name}"',
+    'error.boolean': '{label} deve estar ligado ou desligado',
+    'error.number': '{label} deve ser um número',
+    'error.min': '{label} deve ser no mínimo {min}',
+    'error.max': '{label} deve ser no máximo {max}',
+    'error.keymap': '{label} não é um mapa de teclas válido',
+    'error.enum': '{label} deve ser um destes: {values}',
+    'error.text': '{label} deve ser texto',
+    'error.color': '{label} deve ser uma cor #rrggbb ou "system"',
+    'error.svg': '{label} deve ser código SVG (<svg>…</svg>)',
+    'error.list': '{label} deve ser uma lista de: {values}',
+    'error.corrected': '{error} (salvo "{raw}", usando {value})',
+
+    'doc.playPause': 'Reproduzir / Pausar',
+    'doc.seek': 'Posição',
+    'doc.mute': 'Silenciar',
+    'doc.volume': 'Volume',
+    'doc.speed': 'Velocidade de reprodução',
+    'doc.captions': 'Legendas',
+    'doc.back': 'Voltar para a aba',
+    'doc.backLabel': '⤶ Aba',
+
+    'bucket.portrait': 'Retrato',
+    'bucket.square': 'Quadrado',
+    'bucket.standard': '4:3',
+    'bucket.wide': '16:9',
+    'bucket.ultrawide': 'Ultralargo',
+    'sizes.entry': '{bucket}: {width} × {height}',
+    'sizes.none': 'Nenhum tamanho salvo para este site',
+
+    'rules.invalidUrl': 'URL inválida',
+    'rules.invalidHost': 'Host inválido',
+    'rules.on': 'Melhorias de PiP ativas',
+    'rules.off': 'Melhorias de PiP desativadas',
+    'rules.noMatch': 'Nenhuma regra corresponde → {verdict}',
+    'rules.matchRule': 'Linha {line}, regra "{source}" → {verdict}',
+    'rules.matchException': 'Linha {line}, exceção "{source}" → {verdict}',
+    'rules.ignored': 'Linha {line} ignorada: {error}',
+
+    'import.invalidJson': 'JSON inválido: {error}',
+    'import.notExport': 'Não é uma exportação de configurações do PiP',
+    'import.readFailed': 'Não foi possível ler o arquivo: {error}',
+    'import.newer': 'Criado por uma versão mais nova do script (v{version})',
+    'import.unknownSetting': 'Configuração desconhecida "{name}" ignorada',
+    'import.usingValue': '{error}, usando {value}',
+    'import.notPerSite': '"{name}" não pode ser definido por site',
+    'import.siteSkipped': '{site}: {error}, ignorado',
+    'import.noChanges': 'Nenhuma alteração',
+    'import.unsavedEdits': 'Esta janela tem alterações não salvas que a importação descartaria. Salve antes para mantê-las.',
+    'import.profileAdded': '+ Perfil {site}',
+    'import.profileRemoved': '− Perfil {site}',
+    'import.profileChanged': '~ Perfil {site}',
+
+    'modal.title': 'Configurações do PiP',
+    'modal.close': 'Fechar',
+    'scope.global': 'Padrões',
+    'scope.site': 'Exceções do site',
+    'scope.overrides': '{count} valor(es) substituído(s) em {site}',
+    'scope.storage': 'Ambos ficam salvos só em {site}; outros sites mantêm suas próprias configurações',
+    'badge.overridden': 'Site ↺',
+    'badge.inherited': 'Herdado',
+    'badge.overriddenTitle': 'Substituído para este site, clique para herdar o valor padrão',
+    'badge.inheritedTitle': 'Usa o valor padrão',
+
+    'section.automation': 'Automação e comportamento',
+    'section.appearance': 'Aparência e controle',
+    'section.position': 'Posição do botão',
+    'section.keys': 'Atalhos de teclado',
+    'section.sites': 'Regras de sites (uma por linha)',
+    'section.import': 'Importar configurações',
+    'section.reset': 'Redefinir',
+    'section.resetTitle': 'Restaurar os padrões desta seção',
+
+    'field.autoPip': 'Ativar Auto-PiP ao trocar de aba',
+    'field.returnPolicy': 'Ao voltar para a aba:',
+    'field.returnExitAuto': 'Sair se iniciado automaticamente',
+    'field.returnExit': 'Sempre sair',
+    'field.returnStay': 'Manter o PiP aberto',
+    'field.autoPipOnScroll': 'Ativar Auto-PiP quando o vídeo sair da tela',
+    'field.autoPipOnScrollHint': 'Os navegadores só permitem isso logo após um clique ou tecla na página, então a maioria das rolagens é ignorada. O Auto-PiP ao trocar de aba não é afetado.',
+    'field.followMode': 'Seguir quando a página substituir o vídeo',
+    'field.autoDelay': 'Atraso (ms)',
+    'field.minDuration': 'Duração mínima (s)',
+    'field.scrollDelay': 'Atraso de rolagem (ms)',
+    'field.scrollThreshold': 'Visível abaixo de (0–1)',
+    'field.minWidth': 'Largura mínima (px)',
+    'field.minHeight': 'Altura mínima (px)',
+    'field.hideButtonWhenActive': 'Ocultar o botão com o PiP ativo',
+    'field.pipMode': 'Janela PiP:',
+    'field.pipModeNative': 'Nativa',
+    'field.pipModeDocument': 'Controles próprios',
+    'field.pipModeHint': 'Controles próprios exigem Document PiP; a janela nativa é usada no lugar.',
+    'field.opacity': 'Opacidade do botão (inativo):',
+    'field.buttonSize': 'Tamanho do botão (px)',
+    'field.buttonMargin': 'Margem da borda (px)',
+    'field.toolbarActions': 'Barra ao passar o mouse:',
+    'field.toolbarHint': 'A primeira ação marcada é o próprio botão; as demais se abrem ao lado dele ao passar o mouse, nesta ordem. Sem nenhuma marcada, o botão alterna o PiP.',
+    'field.moveUp': 'Mover {action} para cima',
+    'field.moveDown': 'Mover {action} para baixo',
+    'field.screenshotFormat': 'Formato da captura:',
+    'field.screenshotTarget': 'Enviar captura para:',
+    'field.screenshotDownload': 'Download',
+    'field.screenshotClipboard': 'Área de transferência (PNG)',
+    'field.seekInterval': 'Intervalo de salto (s):',
+    'field.language': 'Idioma:',
+    'field.theme': 'Tema:',
+    'field.themeDark': 'Escuro',
+    'field.themeLight': 'Claro',
+    'field.themeAuto': 'Seguir o sistema',
+    'field.accent': 'Destaque:',
+    'field.accentCustom': 'Cor personalizada',
+    'field.accentSystem': 'Destaque do navegador',
+    'field.accentColor': 'Cor de destaque',
+    'field.icon': 'Ícone do botão:',
+    'field.customIcon': 'SVG do ícone (desenhado em uma cor)',
+    'field.preview': 'Prévia:',
+    'field.sizes': 'Tamanhos de janela salvos:',
+    'field.sizesHint': 'Janelas Document PiP abrem nesses tamanhos. A janela de PiP do próprio navegador não pode ser redimensionada pela página e mantém o tamanho que o navegador escolher.',
+    'field.sizesClear': 'Limpar tamanhos',
+    'field.keymapUseCode': 'Usar teclas físicas (ignorar o layout do teclado)',
+    'field.keymapHint': 'Clique em um campo e pressione as teclas. Esc cancela, Backspace remove. Os atalhos são ignorados ao digitar em campos de texto e, em sites desativados, todos exceto Abrir configurações.',
+    'field.siteListMode': 'Modo:',
+    'field.siteBlock': 'Ignorar sites listados',
+    'field.siteAllow': 'Somente sites listados',
+    'field.siteRulesHint': 'host · *.domínio · host/caminho · /regex/ · # comentário · !exceção',
+    'field.ruleTest': 'Testar uma URL...',
+    'field.importText': 'Cole configurações exportadas ou carregue um arquivo...',
+
+    'icon.pip': 'Picture-in-picture',
+    'icon.pip-top': 'Picture-in-picture (em cima)',
+    'icon.popout': 'Destacar',
+    'icon.play': 'Reproduzir',
+    'icon.custom': 'SVG personalizado',
+    'toolbar.label': 'Ações do vídeo',
+    'toolbar.pip': 'Picture-in-Picture',
+    'toolbar.speed': 'Velocidade (Shift+clique: mais devagar)',
+    'toolbar.loop': 'Repetir',
+    'toolbar.mute': 'Silenciar / Ativar som',
+    'toolbar.screenshot': 'Captura de tela (Shift+clique: copiar)',
+    'toolbar.disableSite': 'Desativar neste site',
+    'toolbar.settings': 'Configurações',
+
+    'position.top-left': 'Superior esquerdo',
+    'position.top-center': 'Superior central',
+    'position.top-right': 'Superior direito',
+    'position.mid-left': 'Meio à esquerda',
+    'position.mid-right': 'Meio à direita',
+    'position.bot-left': 'Inferior esquerdo',
+    'position.bot-center': 'Inferior central',
+    'position.bot-right': 'Inferior direito',
+
+    'keys.recording': 'Pressione as teclas...',
+    'keys.unbound': 'Sem atalho',
+    'keys.remove': 'Remover atalho',
+    'keys.removeAction': 'Remover atalho de {action}',
+    'keys.sameAs': 'Mesmas teclas que "{action}"',
+    'keys.common': 'Normalmente usado para {use}',
+    'keys.rerecord': '{count} atalho(s) não puderam ser convertidos e foram removidos; grave-os novamente',
+
+    'footer.export': 'Exportar',
+    'footer.exportTitle': 'Baixar todas as configurações como JSON',
+    'footer.copy': 'Copiar',
+    'footer.copyTitle': 'Copiar todas as configurações como JSON',
+    'footer.import': 'Importar...',
+    'footer.resetAll': 'Redefinir tudo',
+    'footer.resetAllTitle': 'Restaurar todos os valores deste escopo para o padrão',
+    'footer.save': 'Salvar configurações',
+    'footer.saveTitle': 'Vale na hora em todas as abas abertas deste site; abas de outros sites mantêm suas próprias configurações',
+    'footer.cancel': 'Cancelar',
+    'import.load': 'Carregar arquivo...',
+    'import.apply': 'Aplicar importação',
+    'import.applyAnyway': 'Aplicar e descartar alterações',
+    'import.close': 'Fechar'
+  }
+};
+
+// Languages written right to left; the modal turns around for them even without a catalog
+const K_RTL_LANGUAGES = ['ar', 'fa', 'he', 'ur'];
+
+// —— Settings Schema ——
+// Drives loading, saving, clamping and the settings modal (via data-setting attributes).
+// perSite: the value may be overridden by a per-site profile.
+// values: the allowed entries of an enum, or the items a list may hold.
+// section: the modal section whose "Reset" button restores it.
+const K_SETTINGS_SCHEMA = {
+  autoPip: { type: 'boolean', default: false, key: K_SETTING_AUTO_PIP, perSite: true, section: 'automation' },
+  autoDelay: { type: 'integer', default: 1000, min: 0, max: 60000, key: K_SETTING_AUTO_DELAY, perSite: true, section: 'automation' },
+  autoPipOnScroll: { type: 'boolean', default: false, key: K_SETTING_AUTO_SCROLL, perSite: true, section: 'automation' },
+  // Visible fraction of the video below which it counts as scrolled out
+  scrollThreshold: { type: 'number', default: 0.25, min: 0, max: 1, key: K_SETTING_SCROLL_THRESHOLD, perSite: true, section: 'automation' },
+  scrollDelay: { type: 'integer', default: 500, min: 0, max: 60000, key: K_SETTING_SCROLL_DELAY, perSite: true, section: 'automation' },
+  // What returning to the tab does: 'exit' any PiP, 'stay', or 'exit-auto' = only PiP started by tab-switch auto-PiP
+  returnPolicy: { type: 'enum', values: ['exit-auto', 'exit', 'stay'], default: 'exit-auto', key: K_SETTING_RETURN_POLICY, perSite: true, section: 'automation' },
+  // Re-open PiP on the video that replaces a removed PiP element (SPA players, playlists)
+  followMode: { type: 'boolean', default: true, key: K_SETTING_FOLLOW, perSite: true, section: 'automation' },
+  minDuration: { type: 'integer', default: 10, min: 0, max: 86400, key: K_SETTING_MIN_DUR, perSite: true, section: 'automation' },
+  minWidth: { type: 'integer', default: 200, min: 50, max: 2000, key: K_SETTING_MIN_WIDTH, perSite: true, section: 'automation' },
+  minHeight: { type: 'integer', default: 150, min: 50, max: 2000, key: K_SETTING_MIN_HEIGHT, perSite: true, section: 'automation' },
+  // false = button stays visible for easy toggle
+  hideButtonWhenActive: { type: 'boolean', default: false, key: K_SETTING_HIDE_BUTTON_WHEN_ACTIVE, perSite: true, section: 'appearance' },
+  // 'native' = browser window, 'document' = custom controls via Document PiP
+  pipMode: { type: 'enum', values: ['native', 'document'], default: 'native', key: K_SETTING_PIP_MODE, perSite: true, section: 'appearance' },
+  opacity: { type: 'number', default: 0.7, min: 0, max: 1, key: K_SETTING_OPACITY, perSite: true, section: 'appearance' },
+  buttonSize: { type: 'integer', default: 38, min: 24, max: 72, key: K_SETTING_BUTTON_SIZE, perSite: true, section: 'appearance' },
+  // Distance from the video's edges at the chosen position
+  buttonMargin: { type: 'integer', default: 15, min: 0, max: 200, key: K_SETTING_BUTTON_MARGIN, perSite: true, section: 'appearance' },
+  // K_TOOLBAR_ACTIONS in order: the first is the button itself, the rest unfold beside it on hover.
+  // Empty = a PiP button alone.
+  toolbarActions: { type: 'list', values: Object.keys(K_TOOLBAR_ACTIONS), default: Object.keys(K_TOOLBAR_ACTIONS), key: K_SETTING_TOOLBAR, perSite: true, section: 'appearance' },
+  screenshotFormat: { type: 'enum', values: ['png', 'jpeg'], default: 'png', key: K_SETTING_SCREENSHOT_FORMAT, section: 'appearance' },
+  // 'clipboard' always copies PNG, the one image type browsers accept there
+  screenshotTarget: { type: 'enum', values: ['download', 'clipboard'], default: 'download', key: K_SETTING_SCREENSHOT_TARGET, section: 'appearance' },
+  seekInterval: { type: 'integer', default: 10, min: 1, max: 60, key: K_SETTING_SEEK, perSite: true, section: 'appearance' },
+  // 'auto' = first browser language with a catalog, English otherwise
+  language: { type: 'enum', values: ['auto', ...Object.keys(K_MESSAGES)], default: 'auto', key: K_SETTING_LANGUAGE, section: 'appearance' },
+  // 'auto' follows prefers-color-scheme; the button over the video stays dark in every theme
+  theme: { type: 'enum', values: ['dark', 'light', 'auto'], default: 'dark', key: K_SETTING_THEME, section: 'appearance' },
+  // '#rrggbb', or 'system' for the browser's accent color where CSS exposes it
+  accentColor: { type: 'color', default: '#ef3939', key: K_SETTING_ACCENT, section: 'appearance' },
+  buttonIcon: { type: 'enum', values: [...Object.keys(K_BUTTON_ICONS), 'custom'], default: 'pip', key: K_SETTING_ICON, section: 'appearance' },
+  // SVG markup used when buttonIcon is 'custom'
+  customIcon: { type: 'svg', default: '', key: K_SETTING_CUSTOM_ICON, section: 'appearance' },
+  position: { type: 'enum', values: K_POSITIONS, default: 'top-right', key: K_SETTING_POS, perSite: true, section: 'position' },
+  keymap: { type: 'keymap', default: K_DEFAULT_KEYMAP, key: K_SETTING_KEYMAP, section: 'keys' },
+  // true = match physical keys (e.code) so bindings survive keyboard layout changes
+  keymapUseCode: { type: 'boolean', default: false, key: K_SETTING_KEYMAP_CODE, section: 'keys' },
+  blacklist: { type: 'string', default: ['tiktok.com', 'youtube.com/shorts'].join('\n'), key: K_SETTING_BLACKLIST, section: 'sites' },
+  // 'block' = skip listed sites, 'allow' = only run on listed sites
+  siteListMode: { type: 'enum', values: ['block', 'allow'], default: 'block', key: K_SETTING_SITE_MODE, section: 'sites' }
+};
+
+// Settings that a per-site profile may override
+const K_PROFILE_KEYS = Object.keys(K_SETTINGS_SCHEMA).filter(name => K_SETTINGS_SCHEMA[name].perSite);
+
+// Bump K_SETTINGS_VERSION and append a { version, migrate(storage), upgrade(settings) } entry
+// whenever a stored key is renamed or its format changes. `upgrade` rewrites an older export.
+const K_SETTINGS_VERSION = 5;
+const K_SETTINGS_MIGRATIONS = [
+  {
+    version: 2,
+    // The single boss-key shortcut became the togglePip binding of the keymap
+    migrate(storage) {
+      const shortcut = storage.getItem(K_SETTING_SHORTCUT);
+      if (shortcut === null) return;
+      storage.setItem(K_SETTING_KEYMAP, JSON.stringify({ ...K_DEFAULT_KEYMAP, togglePip: shortcut }));
+      storage.removeItem(K_SETTING_SHORTCUT);
+    },
+    upgrade(settings) {
+      if (!('shortcut' in settings)) return;
+      settings.keymap = { ...K_DEFAULT_KEYMAP, togglePip: settings.shortcut };
+      delete settings.shortcut;
+    }
+  },
+  {
+    version: 3,
+    // The global window size was never applied and has no aspect ratio to bucket it by
+    migrate(storage) {
+      storage.removeItem(K_PIP_SIZE_KEY);
+    }
+  },
+  {
+    version: 4,
+    // Window sizes were keyed by origin inside the origin's own storage; only this one's were ever there
+    migrate(storage) {
+      const sizes = JSON.parse(storage.getItem(K_PIP_SIZES_KEY) || '{}');
+      const own = sizes && sizes[window.location.origin];
+      if (own && typeof own === 'object') {
+        storage.setItem(K_PIP_SIZES_KEY, JSON.stringify(own));
+      } else {
+        storage.removeItem(K_PIP_SIZES_KEY);
+      }
+    }
+  },
+  {
+    version: 5,
+    // PiP became a toolbar action; lists stored before that had it as the fixed first button
+    migrate(storage) {
+      const toolbar = storage.getItem(K_SETTING_TOOLBAR);
+      if (toolbar !== null) {
+        const settings = { toolbarActions: JSON.parse(toolbar) };
+        this.upgrade(settings);
+        storage.setItem(K_SETTING_TOOLBAR, JSON.stringify(settings.toolbarActions));
+      }
+      const profiles = JSON.parse(storage.getItem(K_SETTING_PROFILES) || '{}');
+      if (profiles && typeof profiles === 'object') {
+        Object.values(profiles).forEach(profile => profile && this.upgrade(profile));
+        storage.setItem(K_SETTING_PROFILES, JSON.stringify(profiles));
+      }
+    },
+    upgrade(settings) {
+      const list = settings.toolbarActions;
+      if (Array.isArray(list) && !list.includes('pip')) settings.toolbarActions = ['pip', ...list];
+    }
+  }
+];
+
+// Export file
+const K_EXPORT_FORMAT = 'vivaldi-pip-settings';
+const K_EXPORT_FILENAME = 'vivaldi-pip-settings.json';
+
+// Document PiP
+const K_DOC_PIP_WIDTH = 480;
+const K_DOC_PIP_BAR_HEIGHT = 44;
+
+// Remembered PiP window sizes are grouped by video aspect ratio (width / height)
+const K_ASPECT_BUCKETS = [
+  { name: 'portrait', max: 0.85 },
+  { name: 'square', max: 1.2 },
+  { name: 'standard', max: 1.5 },
+  { name: 'wide', max: 2 },
+  { name: 'ultrawide', max: Infinity }
+];
 
 const PIP = {
   // —— State ——
@@ -31,30 +1237,83 @@ const PIP = {
   root_: null,
   containerElm_: null,
   pipButton_: null,
+  toolbar_: null,
+  liveRegion_: null, // Announces toasts to screen readers
+  themeStyle_: null, // Theme tokens, rewritten whenever the theme settings change
+  modalReturnFocus_: null, // Element focused before the settings modal opened
   timerID_: 0,
+  lastMouseMove_: 0,
   seenVideoElements_: new WeakSet(),
+  abort_: null, // Removes every long-lived listener on destroy()
+
+  // Discovery State
+  observedRoots_: new WeakSet(),
+  seenFrames_: new WeakSet(),
+  rootObservers_: [],
+  frameScopes_: new Map(),     // frame of the top document → { roots, observers, abort } of what lies inside it
+  siteRulesCache_: null,
+
+  // Video Registry State
+  videos_: new Set(),          // Connected videos in every root
+  onScreen_: new Set(),        // Registered videos the IntersectionObserver sees in the viewport
+  rectCache_: new WeakMap(),   // video → { rect, epoch, time }
+  geometryEpoch_: 0,           // Bumped whenever cached rects may have moved
+  resizeObserver_: null,
+  anchor_: null,               // { video, pinned, stale, abort } of the video the button sits on
+  repositionFrame_: 0,
+  pendingNodes_: new Set(),
+  pendingRemoval_: false,
+  scanScheduled_: false,
+  cancelScan_: null,
+  lastFullScan_: 0,
+  pendingUpgrades_: new WeakSet(), // Undefined custom elements waiting for customElements.whenDefined()
   
   // Active State
   activeVideoForPipClick: null,
   hoveredVideo: null,
+  keyTarget_: null,
+
+  // Auto-PiP Lifecycle State
+  pipState_: K_PIP_IDLE,
+  pipStateVideo_: null,
+  autoTrigger_: null, // 'tab' | 'scroll' while pending or auto-active
+  pendingPipTimer_: 0,
+  autoPipActionEnabled_: false,
+  pipFailures_: [],
+  unseenPipFailure_: null,
+  visibilityObserver_: null,
+  visibleRatios_: new WeakMap(),
   lastPipElement: null,
   pipWindow_: null,
   onPipExitBound: null,
+  pipControlsAbort_: null, // Listeners of the current PiP session
 
-  // Settings with Defaults
-  settings: {
-    autoPip: false,
-    autoDelay: 1000,
-    blacklist: ['tiktok.com', 'youtube.com/shorts'].join('\n'),
-    position: 'top-right',
-    minDuration: 10,
-    minWidth: 200,
-    minHeight: 150,
-    seekInterval: 10,
-    opacity: 0.7,
-    shortcut: 'Alt+P',
-    hideButtonWhenActive: false // false = button stays visible for easy toggle
-  },
+  // Cross-Tab State
+  tabId_: Math.random().toString(36).slice(2),
+  tabChannel_: null,
+  ownerTab_: null, // { tab, origin } of the PiP another tab opened last
+  mediaSessionTeardown_: null,
+  metadataExtractors_: [],
+  scoringRules_: [],
+  interactions_: new WeakMap(), // video → time of the last click or user-started play
+  follow_: null, // { from, timer } while a removed PiP video waits for its successor
+  pipOnAd_: false, // Document PiP moves the video out of its ad container, so it is noted up front
+  artworkSizes_: new Map(),
+
+  // Document PiP State
+  docPipWindow_: null,
+  docPipVideo_: null,
+  docPipPlaceholder_: null,
+  docPipTeardown_: null,
+  pipSizeTimer_: 0,
+
+  // Stored global values and per-origin overrides; `settings` is the merged result
+  globalSettings_: null,
+  siteProfiles_: {},
+  settingsErrors_: [],
+
+  // Effective settings, built from K_SETTINGS_SCHEMA defaults in loadSettings_
+  settings: {},
 
   // —— Utility Timers ——
   createTimer() {
@@ -76,455 +1335,2814 @@ const PIP = {
     this.timerID_ = 0;
   },
 
-  // —— Hit‑testing & Video Finding ——
-  findVideoAt(x, y) {
-    const list = document.querySelectorAll('video');
-    for (const v of list) {
-      const r = v.getBoundingClientRect();
-      if (x >= r.left && y >= r.top && x <= r.right && y <= r.bottom) {
-        return v;
+  // —— Video Discovery ——
+  // Every root we can see into: the document, open shadow roots and same-origin frames
+  collectRoots_(root = document, roots = []) {
+    roots.push(root);
+    for (const el of root.querySelectorAll('*')) {
+      if (el.shadowRoot && el !== this.host_) {
+        this.collectRoots_(el.shadowRoot, roots);
+      }
+      if (el.tagName === 'IFRAME' || el.tagName === 'FRAME') {
+        this.watchFrame_(el);
+        const frameDoc = this.getFrameDocument_(el);
+        if (frameDoc) this.collectRoots_(frameDoc, roots);
       }
     }
-    return null;
+    return roots;
   },
 
-  findBestVideoForAction() {
-    if (this.hoveredVideo && !this.hoveredVideo.ended) {
-      return this.hoveredVideo;
+  getFrameDocument_(frame) {
+    try {
+      const doc = frame.contentDocument;
+      return doc && doc.documentElement ? doc : null;
+    } catch(_) {
+      return null; // Cross-origin
     }
-    
-    const videos = Array.from(document.querySelectorAll('video'))
-      .filter(v => v.readyState > 0 && !v.ended);
+  },
 
-    // Prefer playing videos
-    const playing = videos.filter(v => !v.paused);
-    if (playing.length > 0) {
-      return playing.sort((a, b) => (b.videoWidth * b.videoHeight) - (a.videoWidth * a.videoHeight))[0];
-    }
-    
-    // Fallback to largest visible paused video
-    return videos
-      .filter(v => this.isVideoVisible_(v))
-      .sort((a, b) => (b.videoWidth * b.videoHeight) - (a.videoWidth * a.videoHeight))[0];
+  // A scan that outlives destroy() (an upgrade callback, a queued flush) adds nothing
+  watchFrame_(frame) {
+    if (!this.abort_ || this.seenFrames_.has(frame)) return;
+    this.seenFrames_.add(frame);
+    // A navigation inside the frame brings a new document that needs observing; what was
+    // observed in the frame is dropped first and the rescan picks up the documents still there
+    frame.addEventListener('load', () => {
+      this.releaseFrame_(this.getOwnerFrame_(frame.ownerDocument) || frame);
+      this.scanAndRegisterVideos();
+    }, { passive: true, signal: this.abort_.signal });
   },
 
-  // —— Hover Logic ——
-  videoOver(evt) {
-    if (!this.containerElm_) return;
-    
-    // Check blacklist first
-    const blocked = this.settings.blacklist.split('\n').map(s => s.trim()).filter(s => s);
-    if (blocked.some(domain => window.location.hostname.includes(domain))) {
-      return;
-    }
+  // The frame of the top document that a root lives in, or null for the top document itself
+  getOwnerFrame_(root) {
+    let view = (root.ownerDocument || root).defaultView;
+    let frame = null;
+    try {
+      while (view && view !== window && view.frameElement) {
+        frame = view.frameElement;
+        view = view.parent;
+      }
+    } catch(_) {}
+    return frame;
+  },
 
-    const video = this.findVideoAt(evt.clientX, evt.clientY);
-    
-    // If user wants button hidden when PiP is active, don't show it
-    if (this.settings.hideButtonWhenActive && video && document.pictureInPictureElement === video) {
-      return;
+  getFrameScope_(frame) {
+    let scope = this.frameScopes_.get(frame);
+    if (!scope) {
+      scope = { roots: [], observers: [], abort: new AbortController() };
+      this.frameScopes_.set(frame, scope);
     }
+    return scope;
+  },
 
-    if (video && this.isVideoEligible_(video)) {
-      this.hoveredVideo = video;
-      this.activeVideoForPipClick = video;
-      this.showButtonOver(video);
-    } else if (!this.containerElm_.matches(':hover')) {
-      this.hoveredVideo = null;
-      this.createTimer();
+  releaseFrame_(frame) {
+    const scope = this.frameScopes_.get(frame);
+    if (!scope) return;
+    this.frameScopes_.delete(frame);
+    scope.abort.abort();
+    scope.observers.forEach(observer => observer.disconnect());
+    scope.roots.forEach(root => this.observedRoots_.delete(root));
+  },
+
+  // —— Video Registry ——
+  setupVideoTracking_() {
+    if ('IntersectionObserver' in window) {
+      this.visibilityObserver_ = new IntersectionObserver(
+        (entries) => entries.forEach(entry => this.handleVisibilityEntry_(entry)),
+        { threshold: K_VISIBILITY_STEPS }
+      );
+    }
+    if ('ResizeObserver' in window) {
+      this.resizeObserver_ = new ResizeObserver(() => this.invalidateGeometry_(true));
     }
+
+    const { signal } = this.abort_;
+    const scrolled = () => this.invalidateGeometry_();
+    const laidOut = () => this.invalidateGeometry_(true);
+    document.addEventListener('scroll', scrolled, { capture: true, passive: true, signal });
+    window.addEventListener('resize', laidOut, { passive: true, signal });
+    // Animated players (transforms, slide-ins) settle without resizing or scrolling
+    document.addEventListener('transitionend', laidOut, { capture: true, passive: true, signal });
+    document.addEventListener('animationend', laidOut, { capture: true, passive: true, signal });
   },
 
-  videoOut(evt) {
-    if (!this.containerElm_) return;
-    
-    if (!evt.relatedTarget || !evt.relatedTarget.closest('video')) {
-      this.hoveredVideo = null;
+  // Cached rects are stale; `layout` also rechecks whether the anchored player is fixed or sticky
+  invalidateGeometry_(layout = false) {
+    this.geometryEpoch_++;
+    if (layout && this.anchor_) this.anchor_.stale = true;
+    this.scheduleReposition_();
+  },
+
+  // Only the nodes a mutation added are scanned, once per idle period
+  onMutations_(mutations) {
+    for (const m of mutations) {
+      m.addedNodes.forEach(node => {
+        if (node.nodeType === Node.ELEMENT_NODE) this.pendingNodes_.add(node);
+      });
+      if (m.removedNodes.length) this.pendingRemoval_ = true;
     }
-    if (!this.containerElm_.contains(evt.relatedTarget)) {
-      this.createTimer();
+    if (this.pendingNodes_.size || this.pendingRemoval_) this.scheduleScan_();
+  },
+
+  scheduleScan_() {
+    if (this.scanScheduled_) return;
+    this.scanScheduled_ = true;
+
+    const run = () => {
+      this.cancelScan_ = null;
+      this.flushPendingNodes_();
+    };
+    if (typeof requestIdleCallback === 'function') {
+      const id = requestIdleCallback(run, { timeout: K_SCAN_IDLE_TIMEOUT });
+      this.cancelScan_ = () => cancelIdleCallback(id);
+    } else if (!document.hidden) {
+      const id = requestAnimationFrame(run);
+      this.cancelScan_ = () => cancelAnimationFrame(id);
+    } else {
+      const id = setTimeout(run, K_SCAN_IDLE_TIMEOUT); // rAF does not run in background tabs
+      this.cancelScan_ = () => clearTimeout(id);
     }
   },
 
-  showButtonOver(video) {
-    if (!this.containerElm_ || !video) return;
-    
-    if (document.fullscreenElement) {
-      this.containerElm_.classList.add('transparent', 'fullscreen');
+  flushPendingNodes_() {
+    this.scanScheduled_ = false;
+    const nodes = [...this.pendingNodes_];
+    const removal = this.pendingRemoval_;
+    this.pendingNodes_.clear();
+    this.pendingRemoval_ = false;
+
+    // Inserted or removed content shifts the layout around it
+    this.invalidateGeometry_(true);
+
+    // Shadow roots attached after insertion leave no mutation behind, so every few
+    // seconds a batch triggers a full rescan instead of the incremental one
+    if (Date.now() - this.lastFullScan_ >= K_FULL_SCAN_INTERVAL) {
+      this.scanAndRegisterVideos();
       return;
     }
 
-    const rect = video.getBoundingClientRect();
-    const btnSize = K_BUTTON_SIZE;
-    
-    // Check eligibility (dimensions + duration)
-    if (!this.isVideoEligible_(video)) {
-      this.containerElm_.classList.add('transparent');
-      return;
+    if (removal) {
+      this.videos_.forEach(v => {
+        if (!this.isInPage_(v)) this.unregisterVideo_(v);
+      });
     }
-    
-    // Calculate position based on settings
-    let top = 0;
-    let left = 0;
+    nodes.forEach(node => {
+      if (node.isConnected) this.scanNode_(node);
+    });
+    this.checkFollow_();
+  },
 
-    const parts = this.settings.position.split('-');
-    const yPos = parts[0]; // top, mid, bot
-    const xPos = parts[1]; // left, center, right
+  // An added subtree: its videos, plus shadow roots and frames inside it
+  scanNode_(node) {
+    if (node === this.host_) return;
+    if (node.tagName === 'VIDEO') this.registerVideo(node);
 
-    // Y Axis
-    if (yPos === 'top') {
-      top = rect.top + K_BUTTON_MARGIN;
-    } else if (yPos === 'mid') {
-      top = rect.top + (rect.height / 2) - (btnSize / 2);
-    } else { // bot
-      top = rect.bottom - btnSize - K_BUTTON_MARGIN;
+    const roots = [];
+    if (node.shadowRoot) this.collectRoots_(node.shadowRoot, roots);
+    if (node.tagName === 'IFRAME' || node.tagName === 'FRAME') {
+      this.watchFrame_(node);
+      const frameDoc = this.getFrameDocument_(node);
+      if (frameDoc) this.collectRoots_(frameDoc, roots);
     }
+    this.collectRoots_(node, roots);
 
-    // X Axis
-    if (xPos === 'left') {
-      left = rect.left + K_BUTTON_MARGIN;
-    } else if (xPos === 'center') {
-      left = rect.left + (rect.width / 2) - (btnSize / 2);
-    } else { // right
-      left = rect.right - btnSize - K_BUTTON_MARGIN;
-    }
+    if (node.matches(':not(:defined)')) this.watchUpgrade_(node);
+    roots.forEach(root => {
+      if (root !== node) this.observeRoot_(root);
+      root.querySelectorAll('video').forEach(v => this.registerVideo(v));
+      root.querySelectorAll(':not(:defined)').forEach(el => this.watchUpgrade_(el));
+    });
+  },
 
-    this.containerElm_.style.left = `${left + window.scrollX}px`;
-    this.containerElm_.style.top = `${top + window.scrollY}px`;
-    this.containerElm_.style.zIndex = K_MAX_Z_INDEX;
-    
-    // Apply Stealth/Opacity
-    const isHovered = this.containerElm_.matches(':hover');
-    this.containerElm_.style.opacity = isHovered ? '1' : this.settings.opacity;
-    
-    this.containerElm_.classList.remove('transparent', 'fullscreen', 'initial', 'pip-active-hidden');
-    this.clearTimer();
+  // A custom-element player often attaches its shadow root only once it upgrades
+  watchUpgrade_(el) {
+    if (!window.customElements || this.pendingUpgrades_.has(el)) return;
+    this.pendingUpgrades_.add(el);
+    customElements.whenDefined(el.localName).then(() => {
+      // A destroy() in between replaced the set
+      if (!this.pendingUpgrades_.delete(el) || !el.isConnected) return;
+      this.pendingNodes_.add(el);
+      this.scheduleScan_();
+    }).catch(() => {}); // Not a valid custom element name
   },
 
-  buttonOver() {
-    if (!this.containerElm_) return;
-    this.containerElm_.classList.remove('transparent');
-    this.containerElm_.style.opacity = '1';
-    this.clearTimer();
+  // Removed videos, videos of a frame that navigated away and the one in Document PiP are out
+  isInPage_(video) {
+    const view = video.ownerDocument.defaultView;
+    return video.isConnected && !!view && view !== this.docPipWindow_;
   },
 
-  buttonOut() {
-    this.createTimer();
+  unregisterVideo_(video) {
+    this.videos_.delete(video);
+    this.onScreen_.delete(video);
+    this.visibleRatios_.delete(video);
+    if (this.visibilityObserver_) this.visibilityObserver_.unobserve(video);
+    if (this.resizeObserver_) this.resizeObserver_.unobserve(video);
+    if (this.hoveredVideo === video) this.hoveredVideo = null;
+    if (this.anchor_ && this.anchor_.video === video) this.clearAnchor_();
   },
 
-  // —— PiP Action ——
-  pipClicked(evt, forcedVideo = null) {
-    let video = forcedVideo || this.activeVideoForPipClick || 
-                (evt && this.findVideoAt(evt.clientX, evt.clientY));
-    
-    if (!video) {
-      console.warn('PiP: No video found');
-      return;
+  // Videos that might be under the pointer; without IntersectionObserver, all of them
+  getOnScreenVideos_() {
+    return this.visibilityObserver_ ? [...this.onScreen_] : [...this.videos_];
+  },
+
+  // getBoundingClientRect() in the video's own document, reused until geometry changes
+  getCachedRect_(video) {
+    const now = Date.now();
+    const cached = this.rectCache_.get(video);
+    if (cached && cached.epoch === this.geometryEpoch_ && now - cached.time < K_RECT_CACHE_TTL) {
+      return cached.rect;
     }
+    const rect = video.getBoundingClientRect();
+    this.rectCache_.set(video, { rect, epoch: this.geometryEpoch_, time: now });
+    return rect;
+  },
 
-    // Remove any PiP restrictions
-    video.removeAttribute('disablePictureInPicture');
-    try { video.disablePictureInPicture = false; } catch (_) {}
+  observeRoot_(root) {
+    if (!this.abort_ || this.observedRoots_.has(root)) return;
+    const isDocument = root.nodeType === Node.DOCUMENT_NODE;
+    const target = isDocument ? root.documentElement : root;
+    if (!target) return;
 
-    // Toggle if already in PiP
-    if (document.pictureInPictureElement === video) {
-      document.exitPictureInPicture().catch(err => console.error('PiP Exit Error:', err));
-      if (evt) {
-        evt.preventDefault();
-        evt.stopPropagation();
-      }
-      return;
+    this.observedRoots_.add(root);
+    const observer = new MutationObserver((mutations) => this.onMutations_(mutations));
+    observer.observe(target, { childList: true, subtree: true });
+
+    const frame = this.getOwnerFrame_(root);
+    const scope = frame && this.getFrameScope_(frame);
+    if (scope) {
+      scope.roots.push(root);
+      scope.observers.push(observer);
+    } else {
+      this.rootObservers_.push(observer);
     }
 
-    // Pause other videos
-    document.querySelectorAll('video').forEach(v => {
-      if (v !== video && !v.paused && !v.ended) {
-        try { v.pause(); } catch(_) {}
+    // Pointer, key and scroll events inside frames never reach the top document
+    if (isDocument && root !== document) {
+      const { signal } = scope ? scope.abort : this.abort_;
+      root.addEventListener('keydown', (e) => this.handleGlobalKey_(e), { capture: true, signal });
+      root.addEventListener('mousemove', (e) => this.onMouseMove_(e), { passive: true, signal });
+      root.addEventListener('pointerdown', (e) => this.onPointerDown_(e), { capture: true, passive: true, signal });
+      root.addEventListener('scroll', () => this.invalidateGeometry_(), { capture: true, passive: true, signal });
+    }
+  },
+
+  // Registered videos in page order. compareDocumentPosition() only orders nodes of one root,
+  // so videos in different roots compare by the shadow hosts and frames that lead to them.
+  queryAllVideos_() {
+    const paths = new Map();
+    const pathOf = (video) => {
+      const path = [video];
+      let root = video.getRootNode();
+      while (root !== document) {
+        const outer = root.host || (root.defaultView && root.defaultView.frameElement);
+        if (!outer) break;
+        path.unshift(outer);
+        root = outer.getRootNode();
       }
-    });
+      return path;
+    };
+    const videos = [...this.videos_].filter(v => this.isInPage_(v));
+    videos.forEach(v => paths.set(v, pathOf(v)));
 
-    video.requestPictureInPicture()
-      .then((pipWindow) => {
-        this.pipWindow_ = pipWindow || null;
-        const pipVideo = document.pictureInPictureElement;
-        if (!pipVideo) return;
+    return videos.sort((a, b) => {
+      const pa = paths.get(a);
+      const pb = paths.get(b);
+      let i = 0;
+      while (i < pa.length - 1 && i < pb.length - 1 && pa[i] === pb[i]) i++;
+      if (pa[i] === pb[i]) return pa.length - pb.length;
+      return pa[i].compareDocumentPosition(pb[i]) & Node.DOCUMENT_POSITION_FOLLOWING ? -1 : 1;
+    });
+  },
 
-        // Hide button when PiP is active (if user preference is set)
+  // —— Hit‑testing & Video Finding ——
+  // Offset of a (nested) frame's viewport inside the top viewport
+  getFrameOffset_(view) {
+    let x = 0;
+    let y = 0;
+    try {
+      while (view && view !== window && view.frameElement) {
+        const frame = view.frameElement;
+        const r = frame.getBoundingClientRect();
+        const cs = frame.ownerDocument.defaultView.getComputedStyle(frame);
+        x += r.left + frame.clientLeft + (parseFloat(cs.paddingLeft) || 0);
+        y += r.top + frame.clientTop + (parseFloat(cs.paddingTop) || 0);
+        view = view.parent;
+      }
+    } catch(_) {}
+    return { x, y };
+  },
+
+  // Bounding rect in top-level viewport coordinates
+  getVideoRect_(video) {
+    const r = this.getCachedRect_(video);
+    const view = video.ownerDocument.defaultView;
+    if (!view || view === window) return r;
+
+    const { x, y } = this.getFrameOffset_(view);
+    return {
+      left: r.left + x,
+      top: r.top + y,
+      right: r.right + x,
+      bottom: r.bottom + y,
+      width: r.width,
+      height: r.height
+    };
+  },
+
+  toTopCoords_(evt) {
+    const view = evt.view || (evt.target && evt.target.ownerDocument && evt.target.ownerDocument.defaultView);
+    if (!view || view === window) return { x: evt.clientX, y: evt.clientY };
+    const { x, y } = this.getFrameOffset_(view);
+    return { x: evt.clientX + x, y: evt.clientY + y };
+  },
+
+  findVideoAt(x, y) {
+    for (const v of this.getOnScreenVideos_()) {
+      const r = this.getVideoRect_(v);
+      if (x >= r.left && y >= r.top && x <= r.right && y <= r.bottom) {
+        return v;
+      }
+    }
+    return null;
+  },
+
+  findBestVideoForAction() {
+    if (this.hoveredVideo && !this.hoveredVideo.ended) {
+      return this.hoveredVideo;
+    }
+    
+    // Paused videos only count while they can be seen
+    const videos = this.queryAllVideos_()
+      .filter(v => v.readyState > 0 && !v.ended && (!v.paused || this.isVideoVisible_(v)));
+    const best = this.rankVideos_(this.withoutAds_(videos))[0];
+    return best ? best.video : undefined;
+  },
+
+  // —— Target Scoring ——
+  // Site adapters: score(video, context) returns a number or { points, reason }, and
+  // isAd(video) returns true/false, or undefined to leave it to the heuristics.
+  // A `match(location)` test limits a rule to a site.
+  registerScoringRule(rule) {
+    if (!rule || (typeof rule.score !== 'function' && typeof rule.isAd !== 'function')) {
+      throw new TypeError('Scoring rule needs a score(video, context) or isAd(video) function');
+    }
+    this.scoringRules_.push(rule);
+  },
+
+  getSiteAdapters_() {
+    return [...this.scoringRules_, ...this.getBuiltinScoringRules_()]
+      .filter(rule => !rule.match || rule.match(window.location));
+  },
+
+  getBuiltinScoringRules_() {
+    return [
+      {
+        name: 'youtube',
+        match: (loc) => /(^|\.)youtube\.com$/.test(loc.hostname),
+        score: (video) => {
+          if (video.closest('#movie_player, #shorts-player')) return { points: 30, reason: 'main player' };
+          if (video.closest('ytd-video-preview, #inline-player, #video-preview')) return { points: -30, reason: 'hover preview' };
+          return 0;
+        },
+        // The main player reuses one element for ads and content, flagged on the container
+        isAd: (video) => (video.closest('#movie_player') ? !!video.closest('.ad-showing') : undefined)
+      }
+    ];
+  },
+
+  noteInteraction_(video) {
+    if (video) this.interactions_.set(video, Date.now());
+  },
+
+  onPointerDown_(evt) {
+    const { x, y } = this.toTopCoords_(evt);
+    this.noteInteraction_(this.findVideoAt(x, y));
+  },
+
+  getVisibleRatio_(video) {
+    if (this.visibleRatios_.has(video)) return this.visibleRatios_.get(video);
+
+    const rect = this.getVideoRect_(video);
+    const area = rect.width * rect.height;
+    if (!area) return 0;
+    const w = Math.max(0, Math.min(rect.right, window.innerWidth) - Math.max(rect.left, 0));
+    const h = Math.max(0, Math.min(rect.bottom, window.innerHeight) - Math.max(rect.top, 0));
+    return (w * h) / area;
+  },
+
+  // { video, score, reasons: [{ reason, points }] }
+  scoreVideo_(video, context) {
+    const reasons = [];
+    const add = (reason, points) => {
+      if (points) reasons.push({ reason, points: Math.round(points * 10) / 10 });
+    };
+
+    const playing = !video.paused && !video.ended;
+    if (playing) add('playing', K_SCORE_WEIGHTS.playing);
+    if (!video.muted && video.volume > 0) add('audible', K_SCORE_WEIGHTS.audible);
+
+    const visible = this.getVisibleRatio_(video);
+    add(`${Math.round(visible * 100)}% visible`, K_SCORE_WEIGHTS.visible * visible);
+
+    const lastInteraction = this.interactions_.get(video);
+    if (lastInteraction) {
+      const fade = 1 - (context.now - lastInteraction) / K_INTERACTION_WINDOW;
+      if (fade > 0) add('recent interaction', K_SCORE_WEIGHTS.interaction * fade);
+    }
+
+    const duration = video.duration === Infinity ? K_SCORE_FULL_DURATION : video.duration;
+    if (duration > 0) {
+      add('duration', K_SCORE_WEIGHTS.duration * Math.min(1, duration / K_SCORE_FULL_DURATION));
+    }
+
+    const rect = this.getVideoRect_(video);
+    if (context.maxArea > 0) {
+      add('size', K_SCORE_WEIGHTS.size * (rect.width * rect.height) / context.maxArea);
+    }
+
+    if (video.loop) add('loops', K_SCORE_WEIGHTS.loop);
+    if (video.autoplay && video.muted) add('muted autoplay', K_SCORE_WEIGHTS.mutedAutoplay);
+
+    context.rules.forEach(rule => {
+      if (typeof rule.score !== 'function') return;
+      let result;
+      try {
+        result = rule.score(video, context);
+      } catch(e) {
+        console.warn(`PiP scoring rule "${rule.name}" failed:`, e);
+        return;
+      }
+      if (typeof result === 'number') add(rule.name, result);
+      else if (result && typeof result.points === 'number') add(`${rule.name}: ${result.reason || 'rule'}`, result.points);
+    });
+
+    const score = reasons.reduce((sum, r) => sum + r.points, 0);
+    return { video, score: Math.round(score * 10) / 10, reasons };
+  },
+
+  // Highest score first; page order breaks ties
+  rankVideos_(videos) {
+    const context = {
+      now: Date.now(),
+      maxArea: Math.max(0, ...videos.map(v => {
+        const rect = this.getVideoRect_(v);
+        return rect.width * rect.height;
+      })),
+      rules: this.getSiteAdapters_()
+    };
+    return videos
+      .map((video, order) => ({ ...this.scoreVideo_(video, context), order }))
+      .sort((a, b) => b.score - a.score || a.order - b.order)
+      .map(({ order, ...entry }) => entry);
+  },
+
+  // For the console: why each video on the page would or would not be picked
+  explainVideoScores() {
+    const videos = this.queryAllVideos_();
+    return this.rankVideos_(videos).map(({ video, score, reasons }) => ({
+      video,
+      score,
+      ad: this.getAdReason_(video, videos),
+      reasons: reasons.map(r => `${r.points > 0 ? '+' : ''}${r.points} ${r.reason}`).join(', ')
+    }));
+  },
+
+  // —— Ad Detection ——
+  // Why `video` looks like an ad player, or null. `videos` are the other candidates on the page.
+  getAdReason_(video, videos = this.queryAllVideos_()) {
+    for (const rule of this.getSiteAdapters_()) {
+      if (typeof rule.isAd !== 'function') continue;
+      let verdict;
+      try {
+        verdict = rule.isAd(video);
+      } catch(e) {
+        console.warn(`PiP scoring rule "${rule.name}" failed:`, e);
+        continue;
+      }
+      if (verdict === true) return `site rule "${rule.name}"`;
+      if (verdict === false) return null;
+    }
+
+    if (video.closest(K_AD_SELECTORS)) return 'ad container';
+
+    // A short clip is only a pre-roll when longer content waits beside it
+    const duration = video.duration;
+    if (duration > 0 && duration <= K_AD_MAX_DURATION &&
+        videos.some(v => v !== video && v.duration > duration && v.duration > K_AD_MAX_DURATION)) {
+      return 'short clip beside longer content';
+    }
+    return null;
+  },
+
+  withoutAds_(videos) {
+    return videos.filter(v => !this.getAdReason_(v, videos));
+  },
+
+  // Once content starts playing, PiP moves off the ad that was playing before it
+  checkAdHandover_(video) {
+    const pipVideo = this.getPipVideo_();
+    if (!pipVideo || pipVideo === video) return;
+
+    const videos = this.queryAllVideos_();
+    const onAd = pipVideo === this.docPipVideo_ ? this.pipOnAd_ : !!this.getAdReason_(pipVideo, videos);
+    if (!onAd || this.getAdReason_(video, videos)) return;
+
+    this.activeVideoForPipClick = video;
+    this.pipClicked(null, video, 'handover');
+  },
+
+  // —— Hover Logic ——
+  onMouseMove_(evt) {
+    // Nothing to hover while no video is on screen
+    if (!this.getOnScreenVideos_().length) return;
+
+    const now = Date.now();
+    if (now - this.lastMouseMove_ < K_MOUSEMOVE_THROTTLE) return;
+    this.lastMouseMove_ = now;
+    this.videoOver(evt);
+  },
+
+  videoOver(evt) {
+    if (!this.containerElm_) return;
+    
+    // Check site rules first
+    if (!this.isSiteEnabled_()) {
+      return;
+    }
+
+    const { x, y } = this.toTopCoords_(evt);
+    const video = this.findVideoAt(x, y);
+    
+    // If user wants button hidden when PiP is active, don't show it
+    if (this.settings.hideButtonWhenActive && video && this.getPipVideo_() === video) {
+      return;
+    }
+
+    if (video && this.isVideoEligible_(video)) {
+      this.hoveredVideo = video;
+      this.activeVideoForPipClick = video;
+      this.showButtonOver(video);
+    } else if (!this.containerElm_.matches(':hover')) {
+      this.hoveredVideo = null;
+      this.createTimer();
+    }
+  },
+
+  videoOut(evt) {
+    if (!this.containerElm_) return;
+    
+    if (!evt.relatedTarget || !evt.relatedTarget.closest('video')) {
+      this.hoveredVideo = null;
+    }
+    if (!this.containerElm_.contains(evt.relatedTarget)) {
+      this.createTimer();
+    }
+  },
+
+  showButtonOver(video) {
+    if (!this.containerElm_ || !video) return;
+    
+    if (document.fullscreenElement) {
+      this.containerElm_.classList.add('transparent', 'fullscreen');
+      return;
+    }
+
+    // Check eligibility (dimensions + duration)
+    if (!this.isVideoEligible_(video)) {
+      this.containerElm_.classList.add('transparent');
+      return;
+    }
+
+    this.setAnchor_(video);
+    this.placeButton_(video);
+    this.updateToolbar_(video);
+    
+    // Apply Stealth/Opacity
+    const isHovered = this.containerElm_.matches(':hover');
+    this.containerElm_.style.opacity = isHovered ? '1' : this.settings.opacity;
+    
+    this.containerElm_.classList.remove('transparent', 'fullscreen', 'initial', 'pip-active-hidden');
+    this.clearTimer();
+  },
+
+  // Puts the button at the configured spot on the video; pinned players get viewport coordinates
+  placeButton_(video) {
+    const rect = this.getVideoRect_(video);
+    const size = this.settings.buttonSize;
+    const margin = this.settings.buttonMargin;
+    const pinned = !!(this.anchor_ && this.anchor_.video === video && this.anchor_.pinned);
+
+    const parts = this.settings.position.split('-');
+    const yPos = parts[0]; // top, mid, bot
+    const xPos = parts[1]; // left, center, right
+
+    // Y Axis
+    let top;
+    if (yPos === 'top') {
+      top = rect.top + margin;
+    } else if (yPos === 'mid') {
+      top = rect.top + (rect.height / 2) - (size / 2);
+    } else { // bot
+      top = rect.bottom - size - margin;
+    }
+
+    // X Axis
+    let left;
+    if (xPos === 'left') {
+      left = rect.left + margin;
+    } else if (xPos === 'center') {
+      left = rect.left + (rect.width / 2) - (size / 2);
+    } else { // right
+      left = rect.right - size - margin;
+    }
+
+    this.containerElm_.classList.toggle('pinned', pinned);
+    // The toolbar unfolds toward the middle of the video
+    this.containerElm_.classList.toggle('toolbar-start', xPos === 'right');
+    this.containerElm_.style.left = `${left + (pinned ? 0 : window.scrollX)}px`;
+    this.containerElm_.style.top = `${top + (pinned ? 0 : window.scrollY)}px`;
+    this.containerElm_.style.zIndex = K_MAX_Z_INDEX;
+  },
+
+  // —— Anchoring ——
+  // The button follows its video through scrolling (also of nested scrollers the document
+  // listener misses, e.g. inside shadow roots), resizes and layout shifts
+  setAnchor_(video) {
+    if (this.anchor_ && this.anchor_.video === video) return;
+    this.clearAnchor_();
+
+    const abort = new AbortController();
+    const ancestors = this.getAncestors_(video);
+    ancestors
+      .filter(el => el !== el.ownerDocument.documentElement && el !== el.ownerDocument.body)
+      .filter(el => /(auto|scroll|overlay)/.test(this.getComputedStyleOf_(el).overflow))
+      .forEach(el => el.addEventListener('scroll', () => this.invalidateGeometry_(), { passive: true, signal: abort.signal }));
+
+    this.anchor_ = { video, pinned: this.isPinned_(video, ancestors), stale: false, abort };
+  },
+
+  clearAnchor_() {
+    if (this.repositionFrame_) cancelAnimationFrame(this.repositionFrame_);
+    this.repositionFrame_ = 0;
+    if (!this.anchor_) return;
+    this.anchor_.abort.abort();
+    this.anchor_ = null;
+  },
+
+  // One reposition per frame, and only while the button is showing
+  scheduleReposition_() {
+    if (this.repositionFrame_ || !this.anchor_) return;
+    this.repositionFrame_ = requestAnimationFrame(() => {
+      this.repositionFrame_ = 0;
+      const anchor = this.anchor_;
+      if (!anchor || !this.containerElm_ || this.containerElm_.classList.contains('transparent')) return;
+
+      if (!this.isInPage_(anchor.video)) {
+        this.clearAnchor_();
+        this.hideButton();
+        return;
+      }
+      if (anchor.stale) {
+        anchor.pinned = this.isPinned_(anchor.video, this.getAncestors_(anchor.video));
+        anchor.stale = false;
+      }
+      this.placeButton_(anchor.video);
+    });
+  },
+
+  // Ancestors across shadow roots and same-origin frames, nearest first
+  getAncestors_(el) {
+    const ancestors = [];
+    let node = el.parentNode;
+    while (node) {
+      if (node.nodeType === Node.ELEMENT_NODE) ancestors.push(node);
+      if (node.nodeType === Node.DOCUMENT_FRAGMENT_NODE) {
+        node = node.host || null;
+      } else if (node.nodeType === Node.DOCUMENT_NODE) {
+        node = node.defaultView ? node.defaultView.frameElement : null;
+      } else {
+        node = node.parentNode;
+      }
+    }
+    return ancestors;
+  },
+
+  getComputedStyleOf_(el) {
+    return el.ownerDocument.defaultView.getComputedStyle(el);
+  },
+
+  // Fixed and sticky players stay put while the page scrolls. Only the top document counts:
+  // inside a frame they still scroll along with the frame element.
+  isPinned_(video, ancestors) {
+    return [video, ...ancestors]
+      .filter(el => el.ownerDocument === document)
+      .some(el => ['fixed', 'sticky'].includes(this.getComputedStyleOf_(el).position));
+  },
+
+  buttonOver() {
+    if (!this.containerElm_) return;
+    this.containerElm_.classList.remove('transparent');
+    this.containerElm_.style.opacity = '1';
+    this.clearTimer();
+  },
+
+  buttonOut() {
+    this.createTimer();
+  },
+
+  // Keyboard focus has no hover to place the button, so it moves over the likeliest video
+  onButtonFocus_() {
+    const video = this.activeVideoForPipClick || this.findBestVideoForAction();
+    if (video) {
+      this.activeVideoForPipClick = video;
+      this.showButtonOver(video);
+    }
+    this.buttonOver();
+  },
+
+  // The button runs the first toolbar action, which is PiP unless the user moved another one up
+  onButtonClick_(e) {
+    const action = this.getToolbarActions_()[0];
+    if (action === 'pip') {
+      this.pipClicked(e);
+      return;
+    }
+    e.preventDefault();
+    e.stopPropagation();
+    this.runToolbarAction_(action, e);
+  },
+
+  // Enter/Space run the button's action; the context-menu key and Shift+F10 open settings like a right-click
+  onButtonKey_(e) {
+    if (e.key === 'Enter' || e.key === ' ') {
+      e.preventDefault();
+      e.stopPropagation();
+      const action = this.getToolbarActions_()[0];
+      if (action !== 'pip') {
+        this.runToolbarAction_(action, e);
+        return;
+      }
+      const video = this.activeVideoForPipClick || this.findBestVideoForAction();
+      if (video) {
+        this.pipClicked(null, video);
+      } else {
+        this.showToast_(this.t_('toast.noVideo'));
+      }
+    } else if (e.key === 'ContextMenu' || (e.shiftKey && e.key === 'F10')) {
+      e.preventDefault();
+      e.stopPropagation();
+      this.openSettingsModal_();
+    }
+  },
+
+  // —— Hover Toolbar ——
+  // The first action is the button itself; with none ticked, the button toggles PiP
+  getToolbarActions_() {
+    const actions = this.settings.toolbarActions;
+    return actions.length ? actions : ['pip'];
+  },
+
+  // Rebuilt whenever the settings change; the buttons reflect the video under the button
+  renderToolbar_() {
+    if (!this.toolbar_) return;
+
+    const [first, ...rest] = this.getToolbarActions_();
+    if (this.pipButton_) this.pipButton_.setAttribute('data-action', first);
+    this.toolbar_.setAttribute('aria-label', this.t_('toolbar.label'));
+    this.toolbar_.replaceChildren(...rest.map(action => {
+      const btn = document.createElement('button');
+      btn.type = 'button';
+      btn.className = 'pip-tool';
+      btn.setAttribute('data-action', action);
+      btn.title = this.t_(`toolbar.${action}`);
+      btn.setAttribute('aria-label', btn.title);
+      if (action === 'pip' || action === 'loop' || action === 'mute') btn.setAttribute('aria-pressed', 'false');
+      btn.addEventListener('click', (e) => {
+        e.preventDefault();
+        e.stopPropagation();
+        this.runToolbarAction_(action, e);
+      });
+      return btn;
+    }));
+    this.updateToolbar_();
+  },
+
+  updateToolbar_(video = this.activeVideoForPipClick) {
+    if (!this.toolbar_) return;
+
+    const isActive = (action) => {
+      if (action === 'pip') return this.isPipActiveState_(this.pipState_);
+      if (action === 'loop') return !!(video && video.loop);
+      if (action === 'mute') return !!(video && video.muted);
+      return false;
+    };
+    const iconOf = (action, active) => {
+      const spec = K_TOOLBAR_ACTIONS[action];
+      if (action === 'pip') return this.getIconUrl_();
+      if (!spec.icon) return null;
+      return this.svgUrl_(`<svg viewBox="0 0 24 24">${active && spec.activeIcon ? spec.activeIcon : spec.icon}</svg>`);
+    };
+
+    this.toolbar_.querySelectorAll('.pip-tool').forEach(btn => {
+      const action = btn.getAttribute('data-action');
+      const active = isActive(action);
+      if (action === 'speed') btn.textContent = `${video ? video.playbackRate : 1}×`;
+      if (btn.hasAttribute('aria-pressed')) btn.setAttribute('aria-pressed', String(active));
+      const icon = iconOf(action, active);
+      if (icon) btn.style.setProperty('--pip-tool-icon', icon);
+    });
+
+    // The button shows its own action the same way; PiP keeps the icon of the theme
+    const button = this.pipButton_;
+    if (!button) return;
+    const action = this.getToolbarActions_()[0];
+    const active = isActive(action);
+    button.textContent = action === 'speed' ? `${video ? video.playbackRate : 1}×` : '';
+    if (['pip', 'loop', 'mute'].includes(action)) {
+      button.setAttribute('aria-pressed', String(active));
+    } else {
+      button.removeAttribute('aria-pressed');
+    }
+    const icon = action === 'pip' ? null : iconOf(action, active);
+    if (icon) {
+      button.style.setProperty('--pip-icon', icon);
+    } else {
+      button.style.removeProperty('--pip-icon');
+    }
+  },
+
+  runToolbarAction_(action, evt) {
+    if (action === 'settings') {
+      this.openSettingsModal_();
+      return;
+    }
+    if (action === 'disableSite') {
+      this.disableOnSite_();
+      return;
+    }
+
+    const video = this.activeVideoForPipClick || this.findBestVideoForAction();
+    if (!video) {
+      this.showToast_(this.t_('toast.noVideo'));
+      return;
+    }
+
+    switch (action) {
+      case 'pip':
+        this.pipClicked(null, video);
+        break;
+      case 'speed': {
+        // Click steps up and wraps back to normal speed, Shift+click steps down
+        const fastest = K_PLAYBACK_SPEEDS[K_PLAYBACK_SPEEDS.length - 1];
+        if (!evt.shiftKey && video.playbackRate >= fastest) {
+          video.playbackRate = 1;
+          this.showToast_(this.t_('toast.speed', { rate: video.playbackRate }));
+        } else {
+          this.runVideoAction_(evt.shiftKey ? 'speedDown' : 'speedUp', video);
+        }
+        break;
+      }
+      case 'loop':
+        video.loop = !video.loop;
+        this.showToast_(this.t_(video.loop ? 'toast.loopOn' : 'toast.loopOff'));
+        break;
+      case 'mute':
+        this.runVideoAction_(action, video);
+        break;
+      case 'screenshot':
+        // Shift+click copies this one capture, whatever the setting says
+        this.runVideoAction_(evt.shiftKey ? 'copyFrame' : 'screenshot', video);
+        break;
+    }
+    this.updateToolbar_(video);
+  },
+
+  // Adds a site rule that turns the script off for this host, right away and for good;
+  // the toast offers to put the previous rules back
+  disableOnSite_() {
+    const host = window.location.hostname.replace(/^www\./, '');
+    if (!host) return;
+
+    const global = this.globalSettings_;
+    const url = new URL(window.location.href);
+    let lines = String(global.blacklist).split('\n');
+    if (global.siteListMode === 'block') {
+      // An exception for this page would outrank the new rule
+      lines = lines.filter(line => {
+        const rule = this.parseSiteRules_(line)[0];
+        return !(rule && rule.exception && this.matchSiteRule_(rule, url));
+      });
+    }
+    while (lines.length && !lines[lines.length - 1].trim()) lines.pop();
+    // Allow mode: an exception wins over every rule that lists the site
+    lines.push(global.siteListMode === 'block' ? host : `!${host}`);
+
+    this.globalSettings_ = { ...global, blacklist: lines.join('\n') };
+    this.applySiteProfile_();
+    this.saveSettings_();
+
+    this.cancelPendingPip_();
+    const focused = this.root_.activeElement;
+    if (focused && focused.blur) focused.blur();
+    this.hideButton();
+    this.showToast_(this.t_('toast.siteDisabled', { host }), {
+      label: this.t_('toast.undo'),
+      run: () => {
+        this.globalSettings_ = { ...this.globalSettings_, blacklist: global.blacklist };
+        this.applySiteProfile_();
+        this.saveSettings_();
+        this.showToast_(this.t_('toast.siteEnabled', { host }));
+      }
+    });
+  },
+
+  // —— PiP Action ——
+  // origin: 'manual' for user actions, 'auto' when fired by a pending auto-PiP,
+  // 'handover' when an open PiP moves to another video and keeps its origin.
+  // Returns the request, which settles once PiP opened or the failure was recorded.
+  pipClicked(evt, forcedVideo = null, origin = 'manual') {
+    let video = forcedVideo || this.activeVideoForPipClick || 
+                (evt && this.findVideoAt(evt.clientX, evt.clientY));
+    
+    if (!video) {
+      console.warn('PiP: No video found');
+      return;
+    }
+
+    // A user action overrides whatever auto-PiP had queued or was waiting for
+    if (origin === 'manual') {
+      this.cancelPendingPip_();
+      this.stopFollow_();
+    }
+
+    const keepAuto = origin === 'auto' || (origin === 'handover' && this.pipState_ === K_PIP_AUTO_ACTIVE);
+
+    // Auto-PiP never toggles a window the user already has
+    if (origin === 'auto' && this.getPipVideo_()) {
+      this.recordPipFailure_('already-active', origin);
+      if (this.pipState_ === K_PIP_PENDING) this.transitionPip_(K_PIP_IDLE);
+      return;
+    }
+
+    // Remove any PiP restrictions
+    const siteDisabled = video.hasAttribute('disablePictureInPicture') || video.disablePictureInPicture;
+    video.removeAttribute('disablePictureInPicture');
+    try { video.disablePictureInPicture = false; } catch (_) {}
+
+    // Toggle if already in PiP
+    if (this.getPipVideo_() === video) {
+      this.exitPip_().catch(err => console.error('PiP Exit Error:', err));
+      if (evt) {
+        evt.preventDefault();
+        evt.stopPropagation();
+      }
+      return;
+    }
+
+    // Pause other videos
+    this.queryAllVideos_().forEach(v => {
+      if (v !== video && !v.paused && !v.ended) {
+        try { v.pause(); } catch(_) {}
+      }
+    });
+
+    const isAd = !!this.getAdReason_(video);
+
+    const request = this.requestPip_(video, origin)
+      .then((pipWindow) => {
+        this.pipWindow_ = pipWindow || null;
+        const pipVideo = this.getPipVideo_();
+        if (!pipVideo) {
+          this.transitionPip_(K_PIP_IDLE);
+          return;
+        }
+
+        this.pipOnAd_ = isAd;
+        if (keepAuto) {
+          this.transitionPip_(K_PIP_AUTO_ACTIVE, pipVideo, this.autoTrigger_);
+        } else {
+          this.transitionPip_(K_PIP_MANUAL_ACTIVE, pipVideo);
+        }
+
+        // Hide button when PiP is active (if user preference is set)
         if (this.settings.hideButtonWhenActive && this.containerElm_) {
           this.containerElm_.classList.add('pip-active-hidden');
         }
 
-        // Remove old listener
-        if (this.lastPipElement && this.onPipExitBound) {
-          try { 
-            this.lastPipElement.removeEventListener('leavepictureinpicture', this.onPipExitBound); 
-          } catch(_) {}
-        }
+        // Remove old listener
+        if (this.lastPipElement && this.onPipExitBound) {
+          try { 
+            this.lastPipElement.removeEventListener('leavepictureinpicture', this.onPipExitBound); 
+          } catch(_) {}
+        }
+
+        // Add new listener (Document PiP reports its exit through the window's pagehide)
+        this.onPipExitBound = () => this.onPipExit(pipVideo);
+        if (!this.docPipWindow_) {
+          pipVideo.addEventListener('leavepictureinpicture', this.onPipExitBound);
+        }
+        this.lastPipElement = pipVideo;
+
+        this.setupMediaSession(pipVideo);
+        this.bindPiPWindowControls(pipVideo, this.pipWindow_);
+        this.restorePiPWindowSize(pipVideo, this.pipWindow_);
+      })
+      .catch(err => {
+        console.error('PiP Request Error:', err);
+        this.recordPipFailure_(this.classifyPipFailure_(err, video, siteDisabled), origin, err);
+        if (!this.getPipVideo_()) this.transitionPip_(K_PIP_IDLE);
+      });
+
+    if (evt) {
+      evt.preventDefault();
+      evt.stopPropagation();
+    }
+    return request;
+  },
+
+  // —— Keyboard ——
+  // "Ctrl+Alt+Shift+Meta+Key"; the key part comes from e.code when matching physical keys
+  comboFromEvent_(e, useCode = this.settings.keymapUseCode) {
+    if (['Control', 'Alt', 'Shift', 'Meta', 'AltGraph'].includes(e.key)) return null;
+
+    const parts = [];
+    if (e.ctrlKey) parts.push('Ctrl');
+    if (e.altKey) parts.push('Alt');
+    if (e.shiftKey) parts.push('Shift');
+    if (e.metaKey) parts.push('Meta');
+
+    let key;
+    if (useCode || !e.key || e.key === 'Dead' || e.key === 'Unidentified') {
+      key = this.keyNameFromCode_(e.code || '');
+    } else {
+      key = e.key === ' ' ? 'Space' : (e.key.length === 1 ? e.key.toUpperCase() : e.key);
+    }
+    if (!key) return null;
+
+    parts.push(key);
+    return parts.join('+');
+  },
+
+  keyNameFromCode_(code) {
+    return K_CODE_KEY_NAMES[code] || code.replace(/^Key(?=[A-Z]$)/, '').replace(/^Digit(?=\d$)/, '');
+  },
+
+  // The physical key a single-character binding names when matching physical keys
+  codeFromKeyName_(name) {
+    if (/^[A-Z]$/.test(name)) return `Key${name}`;
+    if (/^\d$/.test(name)) return `Digit${name}`;
+    return Object.keys(K_CODE_KEY_NAMES).find(code => K_CODE_KEY_NAMES[code] === name) || null;
+  },
+
+  // Character per physical key on the current layout, where the browser exposes it
+  getKeyboardLayout_() {
+    const keyboard = navigator.keyboard;
+    if (!keyboard || !keyboard.getLayoutMap) return Promise.resolve(null);
+    return keyboard.getLayoutMap().catch(() => null);
+  },
+
+  // Rewrites a binding for the other matching mode, or returns null when it can't be carried
+  // over (a shifted symbol, a numpad key...). Without a layout the US layout is assumed.
+  convertCombo_(combo, toCode, layout = null) {
+    const [, mods, key] = combo.match(/^((?:(?:Ctrl|Alt|Shift|Meta)\+)*)(.+)$/);
+    // Named keys (arrows, F-keys, Enter, Space...) read the same either way
+    if (key.length > 1) return /^(Numpad|Intl|Lang)/.test(key) ? null : combo;
+
+    if (toCode) {
+      if (!layout) return this.codeFromKeyName_(key) ? combo : null;
+      const code = [...layout.keys()].find(c => String(layout.get(c)).toUpperCase() === key);
+      return code ? mods + this.keyNameFromCode_(code) : null;
+    }
+
+    const code = this.codeFromKeyName_(key);
+    if (!code) return null;
+    const char = layout ? layout.get(code) : key;
+    if (!char) return null;
+    // The layout map only knows unshifted characters; Shift turns a symbol into another one
+    if (mods.includes('Shift+') && !/^\p{L}$/u.test(char)) return null;
+    return mods + char.toUpperCase();
+  },
+
+  // Bindings never fire while the user types into a field of the page (or of our modal)
+  isTypingTarget_(e) {
+    const target = (e.composedPath && e.composedPath()[0]) || e.target;
+    if (!target || target.nodeType !== Node.ELEMENT_NODE) return false;
+    if (target.isContentEditable) return true;
+
+    const tag = target.tagName;
+    if (tag === 'TEXTAREA' || tag === 'SELECT') return true;
+    if (tag !== 'INPUT') return false;
+    const nonText = ['button', 'checkbox', 'radio', 'range', 'submit', 'reset', 'color', 'file', 'image'];
+    return !nonText.includes((target.type || '').toLowerCase());
+  },
+
+  findKeymapConflicts_(keymap) {
+    const conflicts = {};
+    const add = (action, message) => (conflicts[action] = conflicts[action] || []).push(message);
+    const bound = Object.keys(K_KEY_ACTIONS).filter(action => keymap[action]);
+
+    bound.forEach(action => {
+      bound.forEach(other => {
+        if (other !== action && keymap[other] === keymap[action]) {
+          add(action, this.t_('keys.sameAs', { action: this.t_(`action.${other}`) }));
+        }
+      });
+      const common = K_COMMON_SHORTCUTS[keymap[action]];
+      if (common) add(action, this.t_('keys.common', { use: this.t_(`common.${common}`) }));
+    });
+    return conflicts;
+  },
+
+  handleGlobalKey_(e) {
+    if (this.isTypingTarget_(e)) return;
+
+    const combo = this.comboFromEvent_(e);
+    if (!combo) return;
+
+    const keymap = this.settings.keymap || {};
+    const action = Object.keys(K_KEY_ACTIONS).find(a => keymap[a] === combo);
+    if (!action) return;
+    // On a disabled site the keys belong to the page; settings stay reachable to turn it back on
+    if (action !== 'openSettings' && !this.isSiteEnabled_()) return;
+
+    e.preventDefault();
+    e.stopPropagation();
+    this.runKeyAction_(action);
+  },
+
+  getKeyTarget_() {
+    return this.keyTarget_ && this.keyTarget_.isConnected ? this.keyTarget_ : null;
+  },
+
+  runKeyAction_(action) {
+    if (action === 'openSettings') {
+      this.openSettingsModal_();
+      return;
+    }
+
+    if (action === 'togglePip') {
+      // A Document PiP video has left the page, so toggle it directly
+      const target = this.docPipVideo_ || this.getKeyTarget_() || this.findBestVideoForAction();
+      if (target) {
+        this.activeVideoForPipClick = target;
+        this.pipClicked(null, target);
+        this.showToast_(this.t_(this.getPipVideo_() ? 'toast.bossActivated' : 'toast.bossToggled'));
+      } else {
+        this.showToast_(this.t_('toast.noVideo'));
+      }
+      return;
+    }
+
+    if (action === 'cycleVideo') {
+      this.cycleKeyTarget_();
+      return;
+    }
+
+    const video = this.getPipVideo_() || this.getKeyTarget_() || this.findBestVideoForAction();
+    if (!video) {
+      this.showToast_(this.t_('toast.noVideo'));
+      return;
+    }
+    this.runVideoAction_(action, video);
+  },
+
+  // Playback actions shared by the keymap and the hover toolbar
+  runVideoAction_(action, video) {
+    const seekDist = this.settings.seekInterval;
+    const duration = isFinite(video.duration) ? video.duration : Infinity;
+    switch (action) {
+      case 'seekBack':
+        video.currentTime = Math.max(0, video.currentTime - seekDist);
+        break;
+      case 'seekForward':
+        video.currentTime = Math.min(duration, video.currentTime + seekDist);
+        break;
+      case 'speedDown':
+      case 'speedUp': {
+        const rate = video.playbackRate;
+        const next = action === 'speedUp'
+          ? K_PLAYBACK_SPEEDS.find(r => r > rate + 0.001)
+          : [...K_PLAYBACK_SPEEDS].reverse().find(r => r < rate - 0.001);
+        if (next) video.playbackRate = next;
+        this.showToast_(this.t_('toast.speed', { rate: video.playbackRate }));
+        break;
+      }
+      case 'mute':
+        video.muted = !video.muted;
+        this.showToast_(this.t_(video.muted ? 'toast.muted' : 'toast.unmuted'));
+        break;
+      case 'volumeDown':
+      case 'volumeUp': {
+        const delta = action === 'volumeUp' ? K_VOLUME_STEP : -K_VOLUME_STEP;
+        video.volume = Math.round(Math.min(1, Math.max(0, video.volume + delta)) * 100) / 100;
+        video.muted = video.volume === 0;
+        this.showToast_(this.t_('toast.volume', { percent: Math.round(video.volume * 100) }));
+        break;
+      }
+      case 'screenshot':
+        this.captureFrame_(video);
+        break;
+      case 'copyFrame':
+        this.captureFrame_(video, 'clipboard');
+        break;
+    }
+  },
+
+  // Moves the keyboard target to the next loaded video that is on screen or playing
+  cycleKeyTarget_() {
+    const candidates = this.queryAllVideos_()
+      .filter(v => v.readyState > 0 && (!v.paused || this.isVideoVisible_(v)));
+    if (!candidates.length) {
+      this.showToast_(this.t_('toast.noVideo'));
+      return;
+    }
+
+    const current = this.getKeyTarget_() || this.findBestVideoForAction();
+    const next = candidates[(candidates.indexOf(current) + 1) % candidates.length];
+    this.keyTarget_ = next;
+    this.activeVideoForPipClick = next;
+
+    if (this.isVideoEligible_(next)) this.showButtonOver(next);
+    this.showToast_(this.t_('toast.target', { index: candidates.indexOf(next) + 1, count: candidates.length }));
+  },
+
+  bindPiPWindowControls(video, pipWindow) {
+    // One set of listeners per session; earlier sessions' listeners are dropped
+    if (this.pipControlsAbort_) this.pipControlsAbort_.abort();
+    this.pipControlsAbort_ = new AbortController();
+    const { signal } = this.pipControlsAbort_;
+
+    const updatePlaybackState = () => {
+      try {
+        if (navigator.mediaSession) {
+          navigator.mediaSession.playbackState = video.paused ? 'paused' : 'playing';
+        }
+      } catch (_) {}
+    };
+    
+    video.addEventListener('play', updatePlaybackState, { signal });
+    video.addEventListener('pause', updatePlaybackState, { signal });
+    
+    if (pipWindow) {
+      // Sizes are stored for the video area, so the Document PiP control bar is left out
+      const barHeight = pipWindow === this.docPipWindow_ ? K_DOC_PIP_BAR_HEIGHT : 0;
+      const onResize = () => this.rememberPiPWindowSize(
+        video,
+        pipWindow.width || pipWindow.innerWidth,
+        (pipWindow.height || pipWindow.innerHeight) - barHeight
+      );
+      pipWindow.addEventListener('resize', onResize, { signal });
+    }
+    updatePlaybackState();
+  },
+
+  onPipExit(video) {
+    // A newer PiP session already replaced this one
+    const current = this.getPipVideo_();
+    if (current && current !== video) return;
+
+    try { 
+      if (this.pipButton_) {
+        this.pipButton_.classList.remove('on'); 
+      }
+    } catch(_) {}
+    
+    this.removeMediaSession();
+    this.endPipControls_();
+    this.activeVideoForPipClick = null;
+    this.onPipExitBound = null;
+    this.pipWindow_ = null;
+    
+    if (this.containerElm_) {
+      this.containerElm_.classList.remove('pip-active-hidden');
+      this.createTimer();
+    }
+
+    // The page took the element away rather than the user closing PiP, so PiP moves on
+    // to whatever takes its place, if that turns up in time
+    const follow = !video.isConnected && this.settings.followMode && this.isSiteEnabled_();
+    const auto = this.pipState_ === K_PIP_AUTO_ACTIVE;
+    const trigger = this.autoTrigger_;
+    this.transitionPip_(K_PIP_IDLE);
+    if (follow) this.startFollow_(video, auto, trigger);
+  },
+
+  endPipControls_() {
+    if (!this.pipControlsAbort_) return;
+    this.pipControlsAbort_.abort();
+    this.pipControlsAbort_ = null;
+  },
+
+  // —— Follow Mode ——
+  // PiP on the successor is a new request, which the browser only grants right after a
+  // user gesture; without one, the user is told instead of waiting for a refusal
+  startFollow_(video, auto = false, trigger = null) {
+    this.stopFollow_();
+    if (!this.hasUserActivation_()) {
+      this.showToast_(this.t_('toast.followBlocked'));
+      return;
+    }
+
+    const cached = this.rectCache_.get(video);
+    this.follow_ = {
+      from: video,
+      rect: cached && cached.rect.width > 0 ? cached.rect : null,
+      bucket: video.videoWidth ? this.getAspectBucket_(video) : null,
+      muted: video.muted,
+      auto,
+      trigger,
+      timer: setTimeout(() => this.stopFollow_(), K_FOLLOW_TIMEOUT)
+    };
+    // replaceChild() swaps in the successor before PiP reports the exit
+    this.checkFollow_();
+  },
+
+  stopFollow_() {
+    if (!this.follow_) return;
+    clearTimeout(this.follow_.timer);
+    this.follow_ = null;
+  },
+
+  // Runs on DOM changes and play events while following
+  checkFollow_() {
+    if (!this.follow_) return;
+    if (this.getPipVideo_() || this.pipState_ !== K_PIP_IDLE) {
+      // PiP was reopened or queued some other way
+      this.stopFollow_();
+      return;
+    }
+
+    const next = this.findFollowSuccessor_();
+    if (!next) return;
+
+    const { auto, trigger } = this.follow_;
+    this.stopFollow_();
+    if (!this.hasUserActivation_()) {
+      this.showToast_(this.t_('toast.followBlocked'));
+      return;
+    }
+
+    this.activeVideoForPipClick = next;
+    // An auto-PiP session stays one, so the return-to-tab policy still applies to it
+    if (auto) this.transitionPip_(K_PIP_PENDING, next, trigger);
+    Promise.resolve(this.pipClicked(null, next, auto ? 'auto' : 'handover')).then(() => {
+      if (this.getPipVideo_() === next) this.showToast_(this.t_('toast.follow'));
+    });
+  },
+
+  // The video that took the followed one's place: playing, not an ad, and over the old spot,
+  // or of the old shape where the spot is unknown. A muted preview never replaces a video with sound.
+  findFollowSuccessor_() {
+    const { from, rect, bucket, muted } = this.follow_;
+    const coversSpot = (video) => {
+      if (video.ownerDocument !== from.ownerDocument) return false;
+      const r = this.getCachedRect_(video);
+      const w = Math.min(rect.right, r.right) - Math.max(rect.left, r.left);
+      const h = Math.min(rect.bottom, r.bottom) - Math.max(rect.top, r.top);
+      return w > 0 && h > 0 &&
+        w * h >= K_FOLLOW_MIN_OVERLAP * Math.max(rect.width * rect.height, r.width * r.height);
+    };
+
+    const candidates = this.withoutAds_(this.queryAllVideos_()).filter(v =>
+      v !== from && !v.paused && !v.ended && v.readyState > 0 &&
+      (muted || !v.muted) &&
+      (rect ? coversSpot(v) : !bucket || !v.videoWidth || this.getAspectBucket_(v) === bucket));
+    const best = this.rankVideos_(candidates)[0];
+    return best ? best.video : null;
+  },
+
+  setupMediaSession(video) {
+    if (!navigator.mediaSession) return;
+
+    this.removeMediaSession();
+    this.applyMediaMetadata_(video);
+
+    const seekDist = this.settings.seekInterval;
+    const seekTo = (time, fast) => {
+      const duration = isFinite(video.duration) ? video.duration : Infinity;
+      const target = Math.min(Math.max(0, time), duration);
+      if (fast && typeof video.fastSeek === 'function') {
+        video.fastSeek(target);
+      } else {
+        video.currentTime = target;
+      }
+      this.updatePositionState_(video);
+    };
+
+    const handlers = {
+      play: () => video.play().catch(() => {}),
+      pause: () => { try { video.pause(); } catch(_) {} },
+      stop: () => {
+        try { video.pause(); } catch(_) {}
+        this.exitPip_().catch(() => {});
+      },
+      seekbackward: (details) => seekTo(video.currentTime - ((details && details.seekOffset) || seekDist)),
+      seekforward: (details) => seekTo(video.currentTime + ((details && details.seekOffset) || seekDist)),
+      seekto: (details) => {
+        if (details && typeof details.seekTime === 'number') seekTo(details.seekTime, details.fastSeek);
+      },
+      previoustrack: () => this.switchPipVideo_(video, -1),
+      nexttrack: () => this.switchPipVideo_(video, +1)
+    };
+
+    K_MEDIA_SESSION_ACTIONS.forEach(action => {
+      try {
+        navigator.mediaSession.setActionHandler(action, handlers[action]);
+      } catch(_) {} // Action not supported by this browser
+    });
+
+    // Keep the scrubber of the PiP window and the OS overlay in sync
+    const syncPosition = () => this.updatePositionState_(video);
+    const positionEvents = ['timeupdate', 'ratechange', 'durationchange', 'loadedmetadata', 'seeked'];
+    positionEvents.forEach(type => video.addEventListener(type, syncPosition));
+    syncPosition();
+
+    const stopMetadataWatch = this.watchMetadata_(video);
+
+    this.mediaSessionTeardown_ = () => {
+      positionEvents.forEach(type => video.removeEventListener(type, syncPosition));
+      stopMetadataWatch();
+    };
+  },
+
+  updatePositionState_(video) {
+    const session = navigator.mediaSession;
+    if (!session || typeof session.setPositionState !== 'function') return;
+
+    const duration = video.duration;
+    if (!isFinite(duration) || duration <= 0) return; // Live streams have no position
+    try {
+      session.setPositionState({
+        duration,
+        playbackRate: video.playbackRate || 1,
+        position: Math.min(Math.max(0, video.currentTime), duration)
+      });
+    } catch(_) {}
+  },
+
+  removeMediaSession() {
+    if (!navigator.mediaSession) return;
+
+    if (this.mediaSessionTeardown_) {
+      try { this.mediaSessionTeardown_(); } catch(_) {}
+      this.mediaSessionTeardown_ = null;
+    }
+
+    K_MEDIA_SESSION_ACTIONS.forEach(action => {
+      try { navigator.mediaSession.setActionHandler(action, null); } catch(_) {}
+    });
+    try { navigator.mediaSession.metadata = null; } catch(_) {}
+    try { navigator.mediaSession.playbackState = 'none'; } catch(_) {}
+    try {
+      if (typeof navigator.mediaSession.setPositionState === 'function') {
+        navigator.mediaSession.setPositionState();
+      }
+    } catch(_) {}
+  },
+
+  // Loaded videos that pass the duration rule, in page order
+  getEligibleVideos_() {
+    return this.queryAllVideos_().filter(v =>
+      v.readyState > 0 && !(v.duration > 0 && v.duration < this.settings.minDuration)
+    );
+  },
+
+  switchPipVideo_(current, step) {
+    const videos = this.getEligibleVideos_();
+    const others = videos.filter(v => v !== current);
+    if (!others.length) return;
+
+    // A Document PiP video is not in the page, so start from either end
+    const index = videos.indexOf(current);
+    const next = index === -1
+      ? (step > 0 ? others[0] : others[others.length - 1])
+      : videos[(index + step + videos.length) % videos.length];
+
+    this.activeVideoForPipClick = next;
+    this.pipClicked(null, next);
+    next.play().catch(() => {});
+  },
+
+  // —— Metadata ——
+  // Extractors return { title?, artist?, artwork?: [{ src, width?, height?, type? }], confidence }.
+  // Site extractors take a `match(location)` test and are consulted before the built-ins.
+  registerMetadataExtractor(extractor) {
+    if (!extractor || typeof extractor.extract !== 'function') {
+      throw new TypeError('Metadata extractor needs an extract(video) function');
+    }
+    this.metadataExtractors_.push(extractor);
+  },
+
+  getBuiltinMetadataExtractors_() {
+    const meta = (selector) => {
+      const el = document.querySelector(selector);
+      return el ? (el.getAttribute('content') || '').trim() : '';
+    };
+    const text = (el) => (el ? (el.textContent || '').replace(/\s+/g, ' ').trim() : '');
+
+    return [
+      {
+        name: 'youtube',
+        match: (loc) => /(^|\.)youtube\.com$/.test(loc.hostname),
+        extract: () => ({
+          title: text(document.querySelector('h1.ytd-watch-metadata, #title h1')),
+          artist: text(document.querySelector('#owner #channel-name a, ytd-channel-name a')),
+          confidence: K_CONFIDENCE_HIGH
+        })
+      },
+      {
+        name: 'json-ld',
+        extract: () => this.extractJsonLdVideo_()
+      },
+      {
+        name: 'open-graph',
+        extract: () => {
+          const image = meta('meta[property="og:image:secure_url"]') || meta('meta[property="og:image"]');
+          return {
+            title: meta('meta[property="og:title"]'),
+            artist: meta('meta[property="og:site_name"]'),
+            artwork: image ? [{
+              src: image,
+              width: parseInt(meta('meta[property="og:image:width"]'), 10) || 0,
+              height: parseInt(meta('meta[property="og:image:height"]'), 10) || 0,
+              type: meta('meta[property="og:image:type"]')
+            }] : [],
+            confidence: K_CONFIDENCE_MEDIUM
+          };
+        }
+      },
+      {
+        name: 'video-attributes',
+        extract: (video) => ({
+          title: (video.title || video.getAttribute('aria-label') || '').trim(),
+          artwork: video.poster ? [{ src: video.poster }] : [],
+          confidence: K_CONFIDENCE_MEDIUM
+        })
+      },
+      {
+        name: 'meta-author',
+        extract: () => ({ artist: meta('meta[name="author"]'), confidence: K_CONFIDENCE_MEDIUM })
+      },
+      {
+        name: 'document',
+        extract: () => ({
+          title: (document.title || '').trim(),
+          artist: window.location.hostname,
+          confidence: K_CONFIDENCE_LOW
+        })
+      },
+      {
+        name: 'nearby-heading',
+        extract: (video) => {
+          // Closest heading or labelled container within a few levels of the player; often a
+          // section or sidebar heading, so it comes after the page title, which wins the tie
+          let node = video.parentElement;
+          for (let depth = 0; node && depth < 6; depth++, node = node.parentElement) {
+            const heading = text(node.querySelector('h1, h2, h3'));
+            if (heading && heading.length <= 200) return { title: heading, confidence: K_CONFIDENCE_LOW };
+            const label = (node.getAttribute('aria-label') || '').trim();
+            if (label && label.length <= 200) return { title: label, confidence: K_CONFIDENCE_LOW };
+          }
+          return { confidence: K_CONFIDENCE_LOW };
+        }
+      }
+    ];
+  },
+
+  extractJsonLdVideo_() {
+    const found = [];
+    const visit = (node) => {
+      if (!node || typeof node !== 'object') return;
+      if (Array.isArray(node)) {
+        node.forEach(visit);
+        return;
+      }
+      const type = node['@type'];
+      if (type === 'VideoObject' || (Array.isArray(type) && type.includes('VideoObject'))) {
+        found.push(node);
+      }
+      if (node['@graph']) visit(node['@graph']);
+    };
+
+    document.querySelectorAll('script[type="application/ld+json"]').forEach(script => {
+      try { visit(JSON.parse(script.textContent)); } catch(_) {}
+    });
+
+    const video = found[0];
+    if (!video) return { confidence: K_CONFIDENCE_HIGH };
+
+    const nameOf = (value) => {
+      const first = Array.isArray(value) ? value[0] : value;
+      return typeof first === 'string' ? first : (first && first.name) || '';
+    };
+
+    const artwork = [];
+    [].concat(video.thumbnailUrl || []).forEach(src => {
+      if (typeof src === 'string') artwork.push({ src });
+    });
+    [].concat(video.thumbnail || []).forEach(img => {
+      if (img && img.url) {
+        artwork.push({ src: img.url, width: parseInt(img.width, 10) || 0, height: parseInt(img.height, 10) || 0 });
+      }
+    });
+
+    return {
+      title: typeof video.name === 'string' ? video.name.trim() : '',
+      artist: nameOf(video.author) || nameOf(video.creator) || nameOf(video.publisher),
+      artwork,
+      confidence: K_CONFIDENCE_HIGH
+    };
+  },
+
+  // Merged result of every extractor; `sources` names the extractor behind each field
+  extractMetadata(video) {
+    const siteExtractors = this.metadataExtractors_.filter(ex => !ex.match || ex.match(window.location));
+    const builtins = this.getBuiltinMetadataExtractors_().filter(ex => !ex.match || ex.match(window.location));
+
+    const best = { title: null, artist: null };
+    const artwork = [];
+
+    [...siteExtractors, ...builtins].forEach((extractor, order) => {
+      let result;
+      try {
+        result = extractor.extract(video) || {};
+      } catch(e) {
+        console.warn(`PiP metadata extractor "${extractor.name}" failed:`, e);
+        return;
+      }
+      const confidence = result.confidence || K_CONFIDENCE_LOW;
+
+      ['title', 'artist'].forEach(field => {
+        const value = typeof result[field] === 'string' ? result[field].trim() : '';
+        // Earlier extractors win ties, so site extractors beat built-ins
+        if (value && (!best[field] || confidence > best[field].confidence)) {
+          best[field] = { value, confidence, source: extractor.name };
+        }
+      });
+
+      (result.artwork || []).forEach(entry => {
+        if (entry && entry.src) artwork.push({ entry, confidence, order });
+      });
+    });
+
+    const seen = new Set();
+    const images = artwork
+      .sort((a, b) => (b.confidence - a.confidence) || (a.order - b.order))
+      .map(item => this.describeArtwork_(item.entry))
+      .filter(image => image && !seen.has(image.src) && seen.add(image.src));
+
+    return {
+      title: best.title ? best.title.value : 'Video',
+      artist: best.artist ? best.artist.value : window.location.hostname,
+      artwork: images,
+      sources: {
+        title: best.title ? best.title.source : null,
+        artist: best.artist ? best.artist.source : null
+      }
+    };
+  },
+
+  // MediaMetadata artwork entry with a MIME type from the URL and real pixel sizes when known
+  describeArtwork_(entry) {
+    let url;
+    try {
+      url = new URL(entry.src, document.baseURI);
+    } catch(_) {
+      return null;
+    }
+
+    const image = { src: url.href };
+    const ext = (url.pathname.match(/\.([a-z0-9]+)$/i) || [])[1];
+    const type = entry.type || (ext && K_IMAGE_TYPES[ext.toLowerCase()]);
+    if (type) image.type = type;
+
+    const sizes = entry.width && entry.height ? `${entry.width}x${entry.height}` : this.artworkSizes_.get(image.src);
+    if (sizes) image.sizes = sizes;
+    return image;
+  },
+
+  // Loads artwork of unknown size once; resolves true when a size was learned
+  probeArtworkSizes_(images) {
+    const unknown = images.filter(image => !image.sizes && !this.artworkSizes_.has(image.src));
+    if (!unknown.length) return Promise.resolve(false);
+
+    return Promise.all(unknown.map(image => new Promise(resolve => {
+      const img = new Image();
+      img.onload = () => {
+        this.artworkSizes_.set(image.src, `${img.naturalWidth}x${img.naturalHeight}`);
+        resolve(true);
+      };
+      img.onerror = () => {
+        this.artworkSizes_.set(image.src, '');
+        resolve(false);
+      };
+      img.src = image.src;
+    }))).then(results => results.some(Boolean));
+  },
+
+  applyMediaMetadata_(video) {
+    const { title, artist, artwork } = this.extractMetadata(video);
+
+    if (this.docPipWindow_ && this.docPipVideo_ === video) {
+      try { this.docPipWindow_.document.title = title; } catch(_) {}
+    }
+    if (!navigator.mediaSession) return;
+
+    try {
+      navigator.mediaSession.metadata = new MediaMetadata({
+        title,
+        artist,
+        artwork: artwork.map(image => (image.sizes ? image : { src: image.src, type: image.type }))
+      });
+    } catch(_) {}
+
+    this.probeArtworkSizes_(artwork).then(learned => {
+      if (learned && this.getPipVideo_() === video) this.applyMediaMetadata_(video);
+    });
+  },
+
+  // SPAs change the title and meta tags without a reload; refresh while PiP is open
+  watchMetadata_(video) {
+    let timer = 0;
+    const refresh = () => {
+      clearTimeout(timer);
+      timer = setTimeout(() => this.applyMediaMetadata_(video), K_METADATA_REFRESH_DELAY);
+    };
+
+    const observer = new MutationObserver(refresh);
+    if (document.head) {
+      observer.observe(document.head, { childList: true, subtree: true, characterData: true, attributes: true });
+    }
+    const titleEl = document.querySelector('title');
+    if (titleEl && titleEl.parentNode !== document.head) {
+      observer.observe(titleEl, { childList: true, characterData: true, subtree: true });
+    }
+
+    return () => {
+      clearTimeout(timer);
+      observer.disconnect();
+    };
+  },
+
+  // —— PiP Window Size ——
+  getAspectBucket_(video) {
+    const aspect = video.videoWidth && video.videoHeight ? video.videoWidth / video.videoHeight : 16 / 9;
+    return K_ASPECT_BUCKETS.find(b => aspect < b.max).name;
+  },
+
+  // { bucket: { w, h } }, in this site's own storage
+  loadPipSizes_() {
+    try {
+      const data = JSON.parse(localStorage.getItem(K_PIP_SIZES_KEY));
+      return data && typeof data === 'object' && !Array.isArray(data) ? data : {};
+    } catch(_) {
+      return {};
+    }
+  },
+
+  savePipSizes_(sizes) {
+    try {
+      if (Object.keys(sizes).length) {
+        localStorage.setItem(K_PIP_SIZES_KEY, JSON.stringify(sizes));
+      } else {
+        localStorage.removeItem(K_PIP_SIZES_KEY);
+      }
+    } catch(_) {}
+  },
+
+  // Resizing fires continuously, so only the size the user settles on is written
+  rememberPiPWindowSize(video, w, h) {
+    if (!(w > 0) || !(h > 0)) return;
+
+    const bucket = this.getAspectBucket_(video);
+    clearTimeout(this.pipSizeTimer_);
+    this.pipSizeTimer_ = setTimeout(() => {
+      this.pipSizeTimer_ = 0;
+      const sizes = this.loadPipSizes_();
+      sizes[bucket] = { w: Math.round(w), h: Math.round(h) };
+      this.savePipSizes_(sizes);
+    }, K_PIP_SIZE_SAVE_DELAY);
+  },
+
+  getStoredPipSize_(video) {
+    const size = this.loadPipSizes_()[this.getAspectBucket_(video)];
+    return size && size.w > 0 && size.h > 0 ? size : null;
+  },
+
+  // Document PiP gets its size at requestWindow(). The native PictureInPictureWindow has no
+  // resizeTo() in current browsers, so this only takes effect where one is added.
+  restorePiPWindowSize(video, pipWindow) {
+    if (!pipWindow || pipWindow === this.docPipWindow_) return;
+    const size = this.getStoredPipSize_(video);
+    if (!size || typeof pipWindow.resizeTo !== 'function') return;
+    try { pipWindow.resizeTo(size.w, size.h); } catch(_) {}
+  },
+
+  clearPipSizes_() {
+    this.savePipSizes_({});
+  },
+
+  describePipSizes_() {
+    const sizes = this.loadPipSizes_();
+    const lines = K_ASPECT_BUCKETS
+      .filter(b => sizes[b.name])
+      .map(b => this.t_('sizes.entry', { bucket: this.t_(`bucket.${b.name}`), width: sizes[b.name].w, height: sizes[b.name].h }));
+    return lines.length ? lines : [this.t_('sizes.none')];
+  },
+
+  // —— Document Picture-in-Picture ——
+  isDocumentPipSupported_() {
+    return 'documentPictureInPicture' in window;
+  },
+
+  getPipVideo_() {
+    return document.pictureInPictureElement || this.docPipVideo_ || null;
+  },
+
+  requestPip_(video, origin = 'manual') {
+    if (this.settings.pipMode === 'document' && this.isDocumentPipSupported_()) {
+      // A refused or broken window still leaves the native player as a way into PiP
+      return this.openDocumentPip_(video).catch((err) => {
+        if (!video.isConnected) throw err;
+        console.warn('PiP: Document PiP failed, using native PiP:', err);
+        this.recordPipFailure_('document-fallback', origin, err);
+        this.closeDocumentPip_();
+        return video.requestPictureInPicture();
+      });
+    }
+    if (this.docPipWindow_) {
+      this.closeDocumentPip_();
+    }
+    return video.requestPictureInPicture();
+  },
+
+  exitPip_() {
+    if (this.docPipWindow_) {
+      try { this.docPipWindow_.close(); } catch(_) {}
+      return Promise.resolve();
+    }
+    if (document.pictureInPictureElement) {
+      return document.exitPictureInPicture();
+    }
+    return Promise.resolve();
+  },
+
+  openDocumentPip_(video) {
+    const ready = document.pictureInPictureElement
+      ? document.exitPictureInPicture().catch(() => {})
+      : Promise.resolve();
+
+    return ready
+      .then(() => {
+        this.closeDocumentPip_();
+        const ratio = video.videoWidth && video.videoHeight ? video.videoHeight / video.videoWidth : 9 / 16;
+        const size = this.getStoredPipSize_(video) ||
+          { w: K_DOC_PIP_WIDTH, h: Math.round(K_DOC_PIP_WIDTH * ratio) };
+        return window.documentPictureInPicture.requestWindow({
+          width: size.w,
+          height: size.h + K_DOC_PIP_BAR_HEIGHT
+        });
+      })
+      .then((pipWin) => {
+        if (!video.parentNode) {
+          pipWin.close();
+          throw new Error('Video is no longer attached to the page');
+        }
+
+        // Keep the original spot so the element can go back where it came from
+        const placeholder = document.createComment('vivaldi-pip-placeholder');
+        video.parentNode.insertBefore(placeholder, video);
+
+        this.docPipWindow_ = pipWin;
+        this.docPipVideo_ = video;
+        this.docPipPlaceholder_ = placeholder;
+
+        const wasPlaying = !video.paused && !video.ended;
+        this.buildDocumentPipUi_(pipWin, video);
+        if (wasPlaying && video.paused) {
+          video.play().catch(() => {});
+        }
+
+        pipWin.addEventListener('pagehide', () => this.onDocumentPipClosed_(pipWin), { once: true });
+        return pipWin;
+      });
+  },
+
+  buildDocumentPipUi_(pipWin, video) {
+    const doc = pipWin.document;
+    const h = (key) => this.escapeHtml_(this.t_(key));
+    const accent = this.settings.accentColor === 'system' ? 'AccentColor' : this.settings.accentColor;
+    doc.documentElement.lang = this.getLanguage_();
+    doc.documentElement.dir = this.isRtl_() ? 'rtl' : 'ltr';
+
+    const style = doc.createElement('style');
+    style.textContent = `
+      html, body {
+        margin: 0;
+        height: 100%;
+        background: #000;
+        overflow: hidden;
+        font-family: -apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, Helvetica, Arial, sans-serif;
+      }
+      body { display: flex; flex-direction: column; }
+      .pip-doc-stage { flex: 1; min-height: 0; display: flex; }
+      .pip-doc-stage video {
+        position: static !important;
+        inset: auto !important;
+        transform: none !important;
+        width: 100% !important;
+        height: 100% !important;
+        max-width: none !important;
+        max-height: none !important;
+        object-fit: contain !important;
+        background: #000 !important;
+      }
+      .pip-doc-bar {
+        display: flex;
+        align-items: center;
+        gap: 8px;
+        height: ${K_DOC_PIP_BAR_HEIGHT}px;
+        padding: 0 10px;
+        box-sizing: border-box;
+        background: #1a1a1a;
+        color: #e0e0e0;
+        font-size: 12px;
+      }
+      .pip-doc-bar button, .pip-doc-bar select {
+        background: #2a2a2a;
+        color: #fff;
+        border: 1px solid #444;
+        border-radius: 4px;
+        padding: 3px 7px;
+        font-size: 12px;
+        cursor: pointer;
+      }
+      .pip-doc-bar button:hover { border-color: ${accent}; }
+      .pip-doc-bar button.on { background: ${accent}; border-color: ${accent}; }
+      .pip-doc-bar button:disabled { opacity: 0.4; cursor: default; }
+      .pip-doc-bar input[type="range"] { accent-color: ${accent}; }
+      .pip-doc-seek { flex: 1; min-width: 60px; }
+      .pip-doc-volume { width: 60px; }
+      .pip-doc-time { font-variant-numeric: tabular-nums; white-space: nowrap; }
+    `;
+    doc.head.appendChild(style);
+    doc.title = this.extractMetadata(video).title;
+
+    const stage = doc.createElement('div');
+    stage.className = 'pip-doc-stage';
+
+    const bar = doc.createElement('div');
+    bar.className = 'pip-doc-bar';
+    bar.innerHTML = `
+      <button class="pip-doc-play" title="${h('doc.playPause')}">▶</button>
+      <span class="pip-doc-time">0:00 / 0:00</span>
+      <input type="range" class="pip-doc-seek" min="0" max="1000" step="1" value="0" title="${h('doc.seek')}">
+      <button class="pip-doc-mute" title="${h('doc.mute')}">🔊</button>
+      <input type="range" class="pip-doc-volume" min="0" max="1" step="0.05" title="${h('doc.volume')}">
+      <select class="pip-doc-speed" title="${h('doc.speed')}">
+        ${K_PLAYBACK_SPEEDS.map(r => `<option value="${r}">${r}×</option>`).join('')}
+      </select>
+      <button class="pip-doc-cc" title="${h('doc.captions')}">CC</button>
+      <button class="pip-doc-back" title="${h('doc.back')}">${h('doc.backLabel')}</button>
+    `;
+
+    doc.body.append(stage, bar);
+    stage.appendChild(video);
+
+    const els = {
+      play: bar.querySelector('.pip-doc-play'),
+      time: bar.querySelector('.pip-doc-time'),
+      seek: bar.querySelector('.pip-doc-seek'),
+      mute: bar.querySelector('.pip-doc-mute'),
+      volume: bar.querySelector('.pip-doc-volume'),
+      speed: bar.querySelector('.pip-doc-speed'),
+      cc: bar.querySelector('.pip-doc-cc'),
+      back: bar.querySelector('.pip-doc-back')
+    };
+
+    let seeking = false;
+    const captionTracks = () => Array.from(video.textTracks || [])
+      .filter(t => t.kind === 'subtitles' || t.kind === 'captions');
+
+    const sync = () => {
+      const duration = isFinite(video.duration) ? video.duration : 0;
+      els.play.textContent = video.paused ? '▶' : '❚❚';
+      els.time.textContent = `${this.formatTime_(video.currentTime)} / ${this.formatTime_(duration)}`;
+      els.seek.disabled = !duration;
+      if (!seeking && duration) {
+        els.seek.value = String(Math.round((video.currentTime / duration) * 1000));
+      }
+      els.mute.textContent = video.muted || video.volume === 0 ? '🔇' : '🔊';
+      els.volume.value = String(video.muted ? 0 : video.volume);
+      els.speed.value = String(video.playbackRate);
+      const tracks = captionTracks();
+      els.cc.disabled = tracks.length === 0;
+      els.cc.classList.toggle('on', tracks.some(t => t.mode === 'showing'));
+    };
+
+    els.play.onclick = () => {
+      if (video.paused) {
+        video.play().catch(() => {});
+      } else {
+        try { video.pause(); } catch(_) {}
+      }
+    };
+    els.seek.addEventListener('input', () => { seeking = true; });
+    els.seek.addEventListener('change', () => {
+      seeking = false;
+      if (isFinite(video.duration) && video.duration > 0) {
+        video.currentTime = (parseInt(els.seek.value, 10) / 1000) * video.duration;
+      }
+    });
+    els.mute.onclick = () => { video.muted = !video.muted; };
+    els.volume.addEventListener('input', () => {
+      video.volume = parseFloat(els.volume.value);
+      video.muted = video.volume === 0;
+    });
+    els.speed.addEventListener('change', () => {
+      video.playbackRate = parseFloat(els.speed.value);
+    });
+    els.cc.onclick = () => {
+      const tracks = captionTracks();
+      if (!tracks.length) return;
+      const showing = tracks.some(t => t.mode === 'showing');
+      tracks.forEach(t => { t.mode = 'hidden'; });
+      if (!showing) tracks[0].mode = 'showing';
+      sync();
+    };
+    els.back.onclick = () => {
+      try { window.focus(); } catch(_) {}
+      pipWin.close();
+    };
+
+    const mediaEvents = ['play', 'pause', 'timeupdate', 'durationchange', 'volumechange', 'ratechange', 'loadedmetadata'];
+    mediaEvents.forEach(type => video.addEventListener(type, sync));
+    const tracks = video.textTracks;
+    if (tracks) tracks.addEventListener('change', sync);
 
-        // Add new listener
-        this.onPipExitBound = () => this.onPipExit(pipVideo);
-        pipVideo.addEventListener('leavepictureinpicture', this.onPipExitBound);
-        this.lastPipElement = pipVideo;
+    this.docPipTeardown_ = () => {
+      mediaEvents.forEach(type => video.removeEventListener(type, sync));
+      if (tracks) tracks.removeEventListener('change', sync);
+    };
+    sync();
+  },
 
-        this.setupMediaSession(pipVideo);
-        this.bindPiPWindowControls(pipVideo, this.pipWindow_);
-        this.restorePiPWindowSize();
-      })
+  restoreDocumentPipVideo_() {
+    const video = this.docPipVideo_;
+    const placeholder = this.docPipPlaceholder_;
+
+    if (this.docPipTeardown_) {
+      try { this.docPipTeardown_(); } catch(_) {}
+    }
+
+    if (video && placeholder && placeholder.parentNode) {
+      const wasPlaying = !video.paused && !video.ended;
+      placeholder.parentNode.replaceChild(video, placeholder);
+      if (wasPlaying && video.paused) {
+        video.play().catch(() => {});
+      }
+    } else if (placeholder) {
+      placeholder.remove();
+    }
+
+    this.docPipWindow_ = null;
+    this.docPipVideo_ = null;
+    this.docPipPlaceholder_ = null;
+    this.docPipTeardown_ = null;
+    return video;
+  },
+
+  closeDocumentPip_() {
+    const pipWin = this.docPipWindow_;
+    if (!pipWin) return;
+    // Restore first so the pagehide handler finds nothing left to do
+    this.restoreDocumentPipVideo_();
+    try { pipWin.close(); } catch(_) {}
+  },
+
+  onDocumentPipClosed_(pipWin) {
+    if (this.docPipWindow_ !== pipWin) return;
+    const video = this.restoreDocumentPipVideo_();
+    if (video) this.onPipExit(video);
+  },
+
+  formatTime_(seconds) {
+    const total = Math.max(0, Math.floor(seconds || 0));
+    const h = Math.floor(total / 3600);
+    const m = Math.floor((total % 3600) / 60);
+    const s = String(total % 60).padStart(2, '0');
+    return h ? `${h}:${String(m).padStart(2, '0')}:${s}` : `${m}:${s}`;
+  },
+
+  // —— Frame Capture ——
+  // Draws the current frame at the video's native resolution, then saves or copies it;
+  // `target` overrides the screenshotTarget setting for a single capture
+  captureFrame_(video, target = this.settings.screenshotTarget) {
+    if (!video.videoWidth || !video.videoHeight) {
+      this.showToast_(this.t_('toast.captureNoFrame'));
+      return Promise.resolve();
+    }
+
+    const canvas = document.createElement('canvas');
+    canvas.width = video.videoWidth;
+    canvas.height = video.videoHeight;
+    const toClipboard = target === 'clipboard';
+    const type = toClipboard || this.settings.screenshotFormat === 'png' ? 'image/png' : 'image/jpeg';
+    const name = this.getScreenshotName_(video, type === 'image/png' ? 'png' : 'jpg');
+
+    return new Promise((resolve, reject) => {
+      canvas.getContext('2d').drawImage(video, 0, 0, canvas.width, canvas.height);
+      // A cross-origin video without CORS taints the canvas, and toBlob throws a SecurityError
+      canvas.toBlob(blob => (blob ? resolve(blob) : reject(new Error('Empty image'))), type, K_SCREENSHOT_JPEG_QUALITY);
+    })
+      .then(blob => (toClipboard ? this.copyFrame_(blob, name) : this.downloadFrame_(blob, name)))
       .catch(err => {
-        console.error('PiP Request Error:', err);
-        this.showToast_('PiP not available for this video');
+        console.warn('PiP: Frame capture failed:', err);
+        this.showToast_(err && err.name === 'SecurityError'
+          ? this.t_('toast.captureTainted')
+          : this.t_('toast.captureFailed', { message: err && err.message }));
       });
+  },
 
-    if (evt) {
-      evt.preventDefault();
-      evt.stopPropagation();
+  // "Artist - Title @ 1-02-03.png", from the extracted metadata and the playback position
+  getScreenshotName_(video, ext) {
+    const meta = this.extractMetadata(video);
+    const base = `${meta.artist} - ${meta.title} @ ${this.formatTime_(video.currentTime).replace(/:/g, '-')}`
+      .replace(/[\\/:*?"<>|\u0000-\u001f]+/g, '_')
+      .replace(/\s+/g, ' ')
+      .trim()
+      .slice(0, K_SCREENSHOT_NAME_MAX);
+    return `${base}.${ext}`;
+  },
+
+  downloadFrame_(blob, name, message = this.t_('toast.captureSaved', { name })) {
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = name;
+    this.root_.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+    this.showToast_(message);
+  },
+
+  // Falls back to a download where image clipboard writes are missing or refused
+  copyFrame_(blob, name) {
+    const fallback = () => this.downloadFrame_(blob, name, this.t_('toast.captureNoClipboard'));
+    if (!navigator.clipboard || !navigator.clipboard.write || !window.ClipboardItem) {
+      fallback();
+      return Promise.resolve();
     }
+    return navigator.clipboard.write([new ClipboardItem({ [blob.type]: blob })])
+      .then(() => this.showToast_(this.t_('toast.captureCopied')))
+      .catch(fallback);
   },
 
-  handleGlobalKey_(e) {
-    if (!this.settings.shortcut) return;
+  // —— Site Rules ——
+  // One rule per line:
+  //   example.com          exact host (a leading "www." is ignored)
+  //   *.example.com        the domain and every subdomain
+  //   example.com/shorts   host plus path prefix
+  //   /^https:\/\/.+\/live/   regular expression tested against the full URL
+  //   # comment            ignored, also allowed after a rule
+  //   !rule                exception, wins over every other match
+  parseSiteRules_(text) {
+    const rules = [];
+    String(text || '').split('\n').forEach((rawLine, index) => {
+      let line = rawLine.trim();
+      if (!line || line.startsWith('#')) return;
 
-    const parts = [];
-    if (e.ctrlKey) parts.push('Ctrl');
-    if (e.altKey) parts.push('Alt');
-    if (e.shiftKey) parts.push('Shift');
-    if (e.metaKey) parts.push('Meta');
-    
-    if (['Control', 'Alt', 'Shift', 'Meta'].includes(e.key)) return;
-    
-    parts.push(e.key.length === 1 ? e.key.toUpperCase() : e.key);
-    const currentCombo = parts.join('+');
+      const exception = line.startsWith('!');
+      if (exception) line = line.slice(1).trim();
 
-    if (currentCombo === this.settings.shortcut) {
-      e.preventDefault();
-      e.stopPropagation();
-      const target = this.findBestVideoForAction();
-      if (target) {
-        this.activeVideoForPipClick = target;
-        this.pipClicked(null, target);
-        this.showToast_(`Boss Key: ${document.pictureInPictureElement ? 'Activated' : 'Toggled'}`);
+      line = line.replace(/\s+#.*$/, '');
+      if (!line) return;
+      const regex = line.match(/^\/(.+)\/([a-z]*)$/i);
+
+      const rule = { source: rawLine.trim(), line: index + 1, exception };
+
+      if (regex) {
+        try {
+          rule.type = 'regex';
+          rule.regex = new RegExp(regex[1], regex[2].replace(/[gy]/g, ''));
+        } catch (e) {
+          rule.type = 'invalid';
+          rule.error = e.message;
+        }
+        rules.push(rule);
+        return;
+      }
+
+      const bare = line.replace(/^[a-z][a-z0-9+.-]*:\/\//i, '');
+      const slash = bare.indexOf('/');
+      const host = (slash === -1 ? bare : bare.slice(0, slash)).toLowerCase().replace(/:\d+$/, '');
+
+      rule.wildcard = host.startsWith('*.');
+      rule.host = rule.wildcard ? host.slice(2) : host.replace(/^www\./, '');
+      rule.path = slash === -1 ? '' : bare.slice(slash);
+
+      if (!rule.host || /[^a-z0-9.-]/.test(rule.host)) {
+        rule.type = 'invalid';
+        rule.error = this.t_('rules.invalidHost');
       } else {
-        this.showToast_('No compatible video stream found.');
+        rule.type = rule.path ? 'path' : (rule.wildcard ? 'wildcard' : 'host');
       }
-    }
+      rules.push(rule);
+    });
+    return rules;
   },
 
-  bindPiPWindowControls(video, pipWindow) {
-    const updatePlaybackState = () => {
-      try {
-        if (navigator.mediaSession) {
-          navigator.mediaSession.playbackState = video.paused ? 'paused' : 'playing';
-        }
-      } catch (_) {}
-    };
-    
-    video.addEventListener('play', updatePlaybackState);
-    video.addEventListener('pause', updatePlaybackState);
-    
-    if (pipWindow) {
-      const onResize = () => this.rememberPiPWindowSize(pipWindow.width, pipWindow.height);
-      pipWindow.addEventListener('resize', onResize);
+  getSiteRules_(text = this.settings.blacklist) {
+    if (!this.siteRulesCache_ || this.siteRulesCache_.text !== text) {
+      this.siteRulesCache_ = { text, rules: this.parseSiteRules_(text) };
     }
-    updatePlaybackState();
+    return this.siteRulesCache_.rules;
   },
 
-  onPipExit(video) {
-    try { 
-      if (this.pipButton_) {
-        this.pipButton_.classList.remove('on'); 
-      }
-    } catch(_) {}
-    
-    this.removeMediaSession();
-    this.activeVideoForPipClick = null;
-    this.onPipExitBound = null;
-    this.pipWindow_ = null;
-    
-    if (this.containerElm_) {
-      this.containerElm_.classList.remove('pip-active-hidden');
-      this.createTimer();
-    }
+  matchSiteRule_(rule, url) {
+    if (rule.type === 'invalid') return false;
+    if (rule.type === 'regex') return rule.regex.test(url.href);
+
+    const host = url.hostname.toLowerCase().replace(/^www\./, '');
+    const hostMatches = rule.wildcard
+      ? host === rule.host || host.endsWith(`.${rule.host}`)
+      : host === rule.host;
+    if (!hostMatches) return false;
+    if (!rule.path) return true;
+
+    // Prefix match on whole path segments: /shorts matches /shorts/abc, not /shortsfeed
+    const target = url.pathname + url.search;
+    if (!target.startsWith(rule.path)) return false;
+    const next = target.charAt(rule.path.length);
+    return rule.path.endsWith('/') || next === '' || next === '/' || next === '?';
   },
 
-  setupMediaSession(video) {
-    if (!navigator.mediaSession) return;
-    
-    const { title, artist, artwork } = this.extractMetadata(video);
-    
+  evaluateSiteRules_(href = window.location.href, text = this.settings.blacklist) {
+    let url;
     try {
-      navigator.mediaSession.metadata = new MediaMetadata({
-        title, 
-        artist, 
-        artwork: artwork ? [{ src: artwork, sizes: '512x512', type: 'image/png' }] : []
-      });
-    } catch(_) {}
+      url = new URL(href);
+    } catch(_) {
+      return { listed: false, rule: null, invalidUrl: true };
+    }
 
-    const seekDist = this.settings.seekInterval || 10;
-    const seek = (delta) => {
-      video.currentTime = Math.min(Math.max(0, video.currentTime + delta), video.duration || video.currentTime + delta);
-    };
+    const rules = this.getSiteRules_(text);
+    const exception = rules.find(r => r.exception && this.matchSiteRule_(r, url));
+    if (exception) return { listed: false, rule: exception };
 
-    navigator.mediaSession.setActionHandler('play', () => video.play().catch(() => {}));
-    navigator.mediaSession.setActionHandler('pause', () => { try { video.pause(); } catch(_) {} });
-    navigator.mediaSession.setActionHandler('seekbackward', () => seek(-seekDist));
-    navigator.mediaSession.setActionHandler('seekforward', () => seek(+seekDist));
+    const rule = rules.find(r => !r.exception && this.matchSiteRule_(r, url));
+    return { listed: !!rule, rule: rule || null };
   },
 
-  removeMediaSession() {
-    if (!navigator.mediaSession) return;
-    try { navigator.mediaSession.metadata = null; } catch(_) {}
+  isSiteEnabled_(href, text, mode = this.settings.siteListMode) {
+    const { listed } = this.evaluateSiteRules_(href, text);
+    return mode === 'allow' ? listed : !listed;
   },
 
-  extractMetadata(video) {
-    let title = video.title || document.title || 'Video';
-    let artist = window.location.hostname;
-    let artwork = video.poster || '';
-    return { title, artist, artwork };
+  describeSiteRuleTest_(href, text, mode) {
+    const result = this.evaluateSiteRules_(href, text);
+    if (result.invalidUrl) return this.t_('rules.invalidUrl');
+
+    const enabled = mode === 'allow' ? result.listed : !result.listed;
+    const verdict = this.t_(enabled ? 'rules.on' : 'rules.off');
+    if (!result.rule) return this.t_('rules.noMatch', { verdict });
+    const key = result.rule.exception ? 'rules.matchException' : 'rules.matchRule';
+    return this.t_(key, { line: result.rule.line, source: result.rule.source, verdict });
   },
 
-  rememberPiPWindowSize(w, h) {
-    if (!w || !h) return;
-    try { 
-      localStorage.setItem(K_PIP_SIZE_KEY, JSON.stringify({ w, h })); 
-    } catch(_) {}
+  // —— Per-Site Profiles ——
+  getSiteKey_() {
+    const origin = window.location.origin;
+    return origin && origin !== 'null' ? origin : null;
   },
-  
-  restorePiPWindowSize() {
-    try { 
-      const data = localStorage.getItem(K_PIP_SIZE_KEY);
-      if (data) {
-        // Size restoration would require additional API support
-        return JSON.parse(data);
-      }
-    } catch(_) {}
-    return null;
+
+  getSiteProfile_(siteKey = this.getSiteKey_()) {
+    return (siteKey && this.siteProfiles_[siteKey]) || {};
+  },
+
+  // Keeps only valid per-site keys
+  cleanSiteProfile_(overrides) {
+    const clean = {};
+    K_PROFILE_KEYS.forEach(key => {
+      if (!(key in overrides)) return;
+      const { value, error } = this.normalizeSetting_(key, overrides[key]);
+      if (!error) clean[key] = value;
+    });
+    return clean;
+  },
+
+  setSiteProfile_(siteKey, overrides) {
+    if (!siteKey) return;
+    const clean = this.cleanSiteProfile_(overrides);
+    if (Object.keys(clean).length) {
+      this.siteProfiles_[siteKey] = clean;
+    } else {
+      delete this.siteProfiles_[siteKey];
+    }
+  },
+
+  applySiteProfile_() {
+    const profile = this.getSiteProfile_();
+    const overrides = {};
+    K_PROFILE_KEYS.forEach(key => {
+      if (key in profile) overrides[key] = profile[key];
+    });
+    this.settings = { ...(this.globalSettings_ || this.getDefaultSettings_()), ...overrides };
+    this.registerAutoPipAction_();
+    this.applyTheme_();
+    if (this.pipButton_) this.updateButtonTitle_();
+    this.renderToolbar_();
   },
 
   // —— Settings & Auto-PiP ——
-  loadSettings_() {
+  getDefaultSettings_() {
+    const defaults = {};
+    Object.keys(K_SETTINGS_SCHEMA).forEach(name => {
+      defaults[name] = K_SETTINGS_SCHEMA[name].default;
+    });
+    return defaults;
+  },
+
+  // Coerces a raw (stored or typed) value; out-of-range values come back clamped with an error
+  normalizeSetting_(name, raw) {
+    const spec = K_SETTINGS_SCHEMA[name];
+    if (!spec) return { value: undefined, error: this.t_('error.unknownSetting', { name }) };
+    const label = this.t_(`setting.${name}`);
+
+    switch (spec.type) {
+      case 'boolean':
+        if (typeof raw === 'boolean') return { value: raw };
+        if (raw === 'true' || raw === 'false') return { value: raw === 'true' };
+        return { value: spec.default, error: this.t_('error.boolean', { label }) };
+
+      case 'integer':
+      case 'number': {
+        const num = typeof raw === 'number' ? raw : (String(raw).trim() === '' ? NaN : Number(raw));
+        if (!Number.isFinite(num)) {
+          return { value: spec.default, error: this.t_('error.number', { label }) };
+        }
+        const value = spec.type === 'integer' ? Math.round(num) : num;
+        if (spec.min !== undefined && value < spec.min) {
+          return { value: spec.min, error: this.t_('error.min', { label, min: spec.min }) };
+        }
+        if (spec.max !== undefined && value > spec.max) {
+          return { value: spec.max, error: this.t_('error.max', { label, max: spec.max }) };
+        }
+        return { value };
+      }
+
+      case 'keymap': {
+        let map = raw;
+        if (typeof raw === 'string') {
+          try { map = JSON.parse(raw); } catch(_) { map = null; }
+        }
+        if (!map || typeof map !== 'object' || Array.isArray(map)) {
+          return { value: { ...spec.default }, error: this.t_('error.keymap', { label }) };
+        }
+        // Unknown actions are dropped, missing ones keep their default binding
+        const value = { ...spec.default };
+        Object.keys(K_KEY_ACTIONS).forEach(action => {
+          if (typeof map[action] === 'string') value[action] = map[action];
+        });
+        return { value };
+      }
+
+      case 'list': {
+        let list = raw;
+        if (typeof raw === 'string') {
+          try { list = JSON.parse(raw); } catch(_) { list = null; }
+        }
+        if (!Array.isArray(list)) {
+          return { value: [...spec.default], error: this.t_('error.list', { label, values: spec.values.join(', ') }) };
+        }
+        // Unknown and repeated items are dropped
+        return { value: [...new Set(list.filter(item => spec.values.includes(item)))] };
+      }
+
+      case 'enum':
+        if (spec.values.includes(raw)) return { value: raw };
+        return { value: spec.default, error: this.t_('error.enum', { label, values: spec.values.join(', ') }) };
+
+      case 'color':
+        if (raw === 'system' || (typeof raw === 'string' && /^#[0-9a-f]{6}$/i.test(raw))) return { value: raw.toLowerCase() };
+        return { value: spec.default, error: this.t_('error.color', { label }) };
+
+      case 'svg':
+        if (typeof raw === 'string' && (!raw.trim() || /^\s*(<\?xml[^>]*>\s*)?<svg[\s>][\s\S]*<\/svg>\s*$/i.test(raw))) {
+          return { value: raw.trim() };
+        }
+        return { value: spec.default, error: this.t_('error.svg', { label }) };
+
+      default:
+        if (typeof raw === 'string') return { value: raw };
+        return { value: spec.default, error: this.t_('error.text', { label }) };
+    }
+  },
+
+  migrateSettings_() {
+    let stored;
     try {
-      const autoPip = localStorage.getItem(K_SETTING_AUTO_PIP);
-      if (autoPip !== null) this.settings.autoPip = autoPip === 'true';
-      
-      const autoDelay = localStorage.getItem(K_SETTING_AUTO_DELAY);
-      if (autoDelay !== null) this.settings.autoDelay = parseInt(autoDelay, 10);
-      
-      const minDuration = localStorage.getItem(K_SETTING_MIN_DUR);
-      if (minDuration !== null) this.settings.minDuration = parseInt(minDuration, 10);
-      
-      const seekInterval = localStorage.getItem(K_SETTING_SEEK);
-      if (seekInterval !== null) this.settings.seekInterval = parseInt(seekInterval, 10);
-      
-      const opacity = localStorage.getItem(K_SETTING_OPACITY);
-      if (opacity !== null) this.settings.opacity = parseFloat(opacity);
-      
-      const savedBlacklist = localStorage.getItem(K_SETTING_BLACKLIST);
-      if (savedBlacklist !== null) this.settings.blacklist = savedBlacklist;
+      stored = parseInt(localStorage.getItem(K_SETTING_VERSION), 10) || 0;
+    } catch(_) {
+      return;
+    }
+    if (stored >= K_SETTINGS_VERSION) return;
+
+    K_SETTINGS_MIGRATIONS
+      .filter(m => m.version > stored && m.version <= K_SETTINGS_VERSION)
+      .sort((a, b) => a.version - b.version)
+      .forEach(m => {
+        try {
+          m.migrate(localStorage);
+        } catch(e) {
+          console.error(`Error migrating PiP settings to v${m.version}:`, e);
+        }
+      });
 
-      const savedPos = localStorage.getItem(K_SETTING_POS);
-      if (savedPos) this.settings.position = savedPos;
+    try { localStorage.setItem(K_SETTING_VERSION, String(K_SETTINGS_VERSION)); } catch(_) {}
+  },
 
-      const savedShortcut = localStorage.getItem(K_SETTING_SHORTCUT);
-      if (savedShortcut) this.settings.shortcut = savedShortcut;
+  loadSettings_() {
+    this.migrateSettings_();
 
-      const minWidth = localStorage.getItem(K_SETTING_MIN_WIDTH);
-      if (minWidth !== null) this.settings.minWidth = parseInt(minWidth, 10);
+    const global = this.getDefaultSettings_();
+    this.settingsErrors_ = [];
 
-      const minHeight = localStorage.getItem(K_SETTING_MIN_HEIGHT);
-      if (minHeight !== null) this.settings.minHeight = parseInt(minHeight, 10);
+    try {
+      Object.keys(K_SETTINGS_SCHEMA).forEach(name => {
+        const raw = localStorage.getItem(K_SETTINGS_SCHEMA[name].key);
+        if (raw === null) return;
 
-      const hideButtonWhenActive = localStorage.getItem(K_SETTING_HIDE_BUTTON_WHEN_ACTIVE);
-      if (hideButtonWhenActive !== null) this.settings.hideButtonWhenActive = hideButtonWhenActive === 'true';
+        const { value, error } = this.normalizeSetting_(name, raw);
+        global[name] = value;
+        if (error) this.settingsErrors_.push(this.t_('error.corrected', { error, raw, value }));
+      });
 
+      const profiles = JSON.parse(localStorage.getItem(K_SETTING_PROFILES) || '{}');
+      this.siteProfiles_ = {};
+      if (profiles && typeof profiles === 'object' && !Array.isArray(profiles)) {
+        Object.keys(profiles).forEach(siteKey => this.setSiteProfile_(siteKey, profiles[siteKey] || {}));
+      }
     } catch(e) {
       console.error('Error loading PiP settings:', e);
     }
+
+    if (this.settingsErrors_.length) {
+      console.warn('PiP settings were corrected:', this.settingsErrors_);
+    }
+
+    this.globalSettings_ = global;
+    this.applySiteProfile_();
   },
 
   saveSettings_() {
+    const global = this.globalSettings_;
+
     try {
-      localStorage.setItem(K_SETTING_AUTO_PIP, String(this.settings.autoPip));
-      localStorage.setItem(K_SETTING_AUTO_DELAY, String(this.settings.autoDelay));
-      localStorage.setItem(K_SETTING_BLACKLIST, this.settings.blacklist);
-      localStorage.setItem(K_SETTING_POS, this.settings.position);
-      localStorage.setItem(K_SETTING_MIN_DUR, String(this.settings.minDuration));
-      localStorage.setItem(K_SETTING_SEEK, String(this.settings.seekInterval));
-      localStorage.setItem(K_SETTING_OPACITY, String(this.settings.opacity));
-      localStorage.setItem(K_SETTING_SHORTCUT, this.settings.shortcut);
-      localStorage.setItem(K_SETTING_MIN_WIDTH, String(this.settings.minWidth));
-      localStorage.setItem(K_SETTING_MIN_HEIGHT, String(this.settings.minHeight));
-      localStorage.setItem(K_SETTING_HIDE_BUTTON_WHEN_ACTIVE, String(this.settings.hideButtonWhenActive));
+      Object.keys(K_SETTINGS_SCHEMA).forEach(name => {
+        const value = global[name];
+        localStorage.setItem(K_SETTINGS_SCHEMA[name].key, typeof value === 'object' ? JSON.stringify(value) : String(value));
+      });
+      localStorage.setItem(K_SETTING_PROFILES, JSON.stringify(this.siteProfiles_));
+      localStorage.setItem(K_SETTING_VERSION, String(K_SETTINGS_VERSION));
     } catch(e) {
       console.error('Error saving PiP settings:', e);
+      return;
+    }
+    this.broadcast_({ type: 'settings' });
+  },
+
+  // —— Cross-Tab Coordination ——
+  setupTabSync_() {
+    const { signal } = this.abort_;
+    if ('BroadcastChannel' in window) {
+      this.tabChannel_ = new BroadcastChannel(K_TAB_CHANNEL);
+      this.tabChannel_.onmessage = (e) => this.onTabMessage_(e.data);
+    } else {
+      window.addEventListener('storage', (e) => {
+        if (e.key !== K_TAB_MESSAGE_KEY || !e.newValue) return;
+        try { this.onTabMessage_(JSON.parse(e.newValue)); } catch(_) {}
+      }, { signal });
+    }
+    window.addEventListener('pagehide', () => this.releasePipOwnership_(), { signal });
+  },
+
+  teardownTabSync_() {
+    this.releasePipOwnership_();
+    if (this.tabChannel_) this.tabChannel_.close();
+    this.tabChannel_ = null;
+    this.ownerTab_ = null;
+  },
+
+  broadcast_(message) {
+    if (!this.abort_) return; // Destroyed
+    const data = { ...message, tab: this.tabId_, time: Date.now() };
+    if (this.tabChannel_) {
+      try { this.tabChannel_.postMessage(data); } catch(_) {}
+      return;
+    }
+    // `time` keeps every value distinct, so each message fires a storage event. Other tabs
+    // have it from the event, so the key is not left behind; its removal event is ignored.
+    try {
+      localStorage.setItem(K_TAB_MESSAGE_KEY, JSON.stringify(data));
+      localStorage.removeItem(K_TAB_MESSAGE_KEY);
+    } catch(_) {}
+  },
+
+  isPipActiveState_(state) {
+    return state === K_PIP_AUTO_ACTIVE || state === K_PIP_MANUAL_ACTIVE;
+  },
+
+  releasePipOwnership_() {
+    if (this.isPipActiveState_(this.pipState_)) this.broadcast_({ type: 'release' });
+  },
+
+  // Auto-PiP stays out of the way of a manual PiP opened in another tab
+  isPipOwnedElsewhere_() {
+    return !!this.ownerTab_ && this.ownerTab_.origin === 'manual';
+  },
+
+  onTabMessage_(message) {
+    if (!message || message.tab === this.tabId_) return;
+
+    switch (message.type) {
+      case 'claim':
+        this.ownerTab_ = { tab: message.tab, origin: message.origin };
+        this.cancelPendingPip_();
+        // The newer PiP wins, unless it is automatic and ours was opened by hand
+        if (this.getPipVideo_() && (message.origin === 'manual' || this.pipState_ === K_PIP_AUTO_ACTIVE)) {
+          this.exitPip_().catch(() => {});
+        }
+        break;
+      case 'release':
+        if (this.ownerTab_ && this.ownerTab_.tab === message.tab) this.ownerTab_ = null;
+        break;
+      case 'settings':
+        this.loadSettings_();
+        if (this.hoveredVideo) this.showButtonOver(this.hoveredVideo);
+        break;
+    }
+  },
+
+  setupAutoPip_() {
+    document.addEventListener('visibilitychange', () => this.handleVisibilityChange_(), { signal: this.abort_.signal });
+  },
+
+  // —— Auto-PiP Lifecycle ——
+  transitionPip_(next, video = null, trigger = null) {
+    if (next !== this.pipState_ && !K_PIP_TRANSITIONS[this.pipState_].includes(next)) {
+      console.warn(`PiP: ignored state change ${this.pipState_} → ${next}`);
+      return false;
+    }
+    const prev = this.pipState_;
+    const prevVideo = this.pipStateVideo_;
+    this.pipState_ = next;
+    this.pipStateVideo_ = next === K_PIP_IDLE ? null : video;
+    this.autoTrigger_ = next === K_PIP_PENDING || next === K_PIP_AUTO_ACTIVE ? trigger : null;
+    this.updateToolbar_();
+
+    // Other tabs learn about every PiP this tab opens or closes
+    if (this.isPipActiveState_(next) && (next !== prev || video !== prevVideo)) {
+      this.ownerTab_ = null;
+      this.broadcast_({ type: 'claim', origin: next === K_PIP_AUTO_ACTIVE ? 'auto' : 'manual' });
+    } else if (this.isPipActiveState_(prev) && !this.isPipActiveState_(next)) {
+      this.broadcast_({ type: 'release' });
+    }
+    return true;
+  },
+
+  // Queues one auto-PiP attempt; `stillValid` is checked again when the delay ends
+  scheduleAutoPip_(video, trigger, delay, stillValid) {
+    // Leaving the tab outranks a scroll-out still waiting for its delay
+    if (trigger === 'tab') this.cancelPendingPip_('scroll');
+    if (this.pipState_ !== K_PIP_IDLE) return;
+
+    this.transitionPip_(K_PIP_PENDING, video, trigger);
+    this.pendingPipTimer_ = setTimeout(() => {
+      this.pendingPipTimer_ = 0;
+      if (this.pipState_ !== K_PIP_PENDING || this.pipStateVideo_ !== video) return;
+
+      if (!stillValid()) {
+        this.transitionPip_(K_PIP_IDLE);
+        return;
+      }
+      if (this.getPipVideo_() || this.isPipOwnedElsewhere_()) {
+        this.recordPipFailure_('already-active', 'auto');
+        this.transitionPip_(K_PIP_IDLE);
+        return;
+      }
+      this.activeVideoForPipClick = video;
+      this.pipClicked(null, video, 'auto');
+    }, delay);
+  },
+
+  // Drops a queued attempt; with a trigger, only one queued by that trigger
+  cancelPendingPip_(trigger = null) {
+    if (this.pipState_ !== K_PIP_PENDING) return;
+    if (trigger && this.autoTrigger_ !== trigger) return;
+
+    clearTimeout(this.pendingPipTimer_);
+    this.pendingPipTimer_ = 0;
+    this.transitionPip_(K_PIP_IDLE);
+  },
+
+  // Chromium fires "enterpictureinpicture" when the tab is hidden and counts it as
+  // user activation, so auto-PiP works there without the timer path being blocked
+  registerAutoPipAction_() {
+    if (!navigator.mediaSession) return;
+
+    const enable = this.settings.autoPip && this.isSiteEnabled_();
+    if (enable === this.autoPipActionEnabled_) return;
+    try {
+      navigator.mediaSession.setActionHandler('enterpictureinpicture',
+        enable ? () => this.onEnterPipAction_() : null);
+      this.autoPipActionEnabled_ = enable;
+    } catch(_) {
+      this.autoPipActionEnabled_ = false; // Action not supported; the timer path remains
+    }
+  },
+
+  onEnterPipAction_() {
+    if (this.getPipVideo_() || this.isPipOwnedElsewhere_()) {
+      this.recordPipFailure_('already-active', 'auto');
+      return;
+    }
+
+    const video = this.findPlayingVideo_();
+    if (!video) return;
+    if (video.duration > 0 && video.duration < this.settings.minDuration) return;
+
+    // Supersedes the timer the visibilitychange handler may have queued
+    this.cancelPendingPip_();
+    if (!this.transitionPip_(K_PIP_PENDING, video, 'tab')) return;
+    this.activeVideoForPipClick = video;
+    this.pipClicked(null, video, 'auto');
+  },
+
+  classifyPipFailure_(err, video, siteDisabled) {
+    const name = err && err.name;
+    const policy = document.permissionsPolicy || document.featurePolicy;
+    try {
+      if (policy && !policy.allowsFeature('picture-in-picture')) return 'disabled-by-site';
+    } catch(_) {}
+
+    if (name === 'NotAllowedError') return 'no-gesture';
+    if (name === 'InvalidStateError') {
+      if (video.readyState === 0 || !video.videoWidth) return 'no-video-track';
+      if (siteDisabled || video.disablePictureInPicture) return 'disabled-by-site';
+    }
+    if (name === 'NotSupportedError') {
+      return siteDisabled || video.disablePictureInPicture ? 'disabled-by-site' : 'unsupported';
+    }
+    return 'unknown';
+  },
+
+  // Keeps the last failures for display; a hidden tab gets its notice on return
+  recordPipFailure_(reason, origin, err = null) {
+    const failure = {
+      reason,
+      origin,
+      trigger: origin === 'auto' ? this.autoTrigger_ : null,
+      error: err ? `${err.name}: ${err.message}` : null,
+      href: location.href,
+      time: Date.now()
+    };
+    this.pipFailures_.push(failure);
+    if (this.pipFailures_.length > K_PIP_FAILURE_LOG_SIZE) this.pipFailures_.shift();
+
+    // An auto attempt that found PiP open is expected, not worth a notice; neither is a
+    // scroll-out the browser refused for lack of a user gesture, which would recur on every scroll
+    if (origin === 'auto' && reason === 'already-active') return;
+    if (origin === 'auto' && reason === 'no-gesture' && failure.trigger === 'scroll') return;
+    // A Document PiP window that fell back to the native player is logged, not announced
+    if (reason === 'document-fallback') return;
+
+    if (document.hidden) {
+      this.unseenPipFailure_ = failure;
+    } else {
+      this.showToast_(this.t_(`failure.${reason}`));
+    }
+  },
+
+  handleVisibilityChange_() {
+    if (!document.hidden) {
+      this.cancelPendingPip_('tab');
+      this.applyReturnPolicy_();
+      if (this.unseenPipFailure_) {
+        this.showToast_(this.t_('toast.autoFailure', { message: this.t_(`failure.${this.unseenPipFailure_.reason}`) }));
+        this.unseenPipFailure_ = null;
+      }
+      return;
+    }
+
+    if (!this.settings.autoPip) return;
+
+    if (!this.isSiteEnabled_()) return;
+
+    const video = this.findPlayingVideo_();
+    if (!video) return;
+    
+    if (video.duration > 0 && video.duration < this.settings.minDuration) return;
+
+    if (!video.paused && !video.ended) {
+      this.scheduleAutoPip_(video, 'tab', this.settings.autoDelay,
+        () => document.hidden && !video.paused);
     }
   },
 
-  setupAutoPip_() {
-    document.addEventListener('visibilitychange', () => this.handleVisibilityChange_());
+  applyReturnPolicy_() {
+    if (!this.getPipVideo_()) return;
+    // Without auto-PiP the tab switch never owned the PiP window
+    if (!this.settings.autoPip && this.pipState_ !== K_PIP_AUTO_ACTIVE) return;
+
+    const policy = this.settings.returnPolicy;
+    const startedByTabSwitch = this.pipState_ === K_PIP_AUTO_ACTIVE && this.autoTrigger_ === 'tab';
+    if (policy === 'exit' || (policy === 'exit-auto' && startedByTabSwitch)) {
+      this.exitPip_().catch(() => {});
+    }
   },
 
-  handleVisibilityChange_() {
-    if (!this.settings.autoPip) return;
+  handleVisibilityEntry_(entry) {
+    const video = entry.target;
+    if (!this.videos_.has(video)) return;
 
-    const currentHost = window.location.hostname;
-    const blockedDomains = this.settings.blacklist.split('\n').map(s => s.trim()).filter(s => s);
-    const isBlocked = blockedDomains.some(domain => currentHost.includes(domain));
+    this.visibleRatios_.set(video, entry.isIntersecting ? entry.intersectionRatio : 0);
+    this.rectCache_.set(video, { rect: entry.boundingClientRect, epoch: this.geometryEpoch_, time: Date.now() });
 
-    if (isBlocked) return;
+    if (entry.isIntersecting) {
+      this.onScreen_.add(video);
+    } else {
+      this.onScreen_.delete(video);
+      if (this.hoveredVideo === video) {
+        this.hoveredVideo = null;
+        this.createTimer();
+      }
+    }
+    this.checkScrollPip_(video);
+  },
 
-    if (document.hidden) {
-      const video = this.findPlayingVideo_();
-      if (!video) return;
-      
-      if (video.duration > 0 && video.duration < this.settings.minDuration) return;
+  // Playing video scrolled out of view → PiP; scrolled back → leave the PiP it caused
+  checkScrollPip_(video) {
+    if (!this.visibleRatios_.has(video)) return;
+    const isOut = (v) => (this.visibleRatios_.get(v) || 0) < this.settings.scrollThreshold;
 
-      if (!video.paused && !video.ended) {
-        setTimeout(() => {
-          if (document.hidden && !video.paused && !document.pictureInPictureElement) {
-            this.activeVideoForPipClick = video;
-            this.pipClicked(null, video);
-          }
-        }, this.settings.autoDelay);
+    if (!isOut(video)) {
+      if (this.pipStateVideo_ !== video || this.autoTrigger_ !== 'scroll') return;
+      this.cancelPendingPip_('scroll');
+      if (this.pipState_ === K_PIP_AUTO_ACTIVE && this.getPipVideo_() === video) {
+        this.exitPip_().catch(() => {});
       }
-    } else if (document.pictureInPictureElement) {
-      document.exitPictureInPicture().catch(() => {});
+      return;
     }
+
+    if (this.getPipVideo_() || !this.canScrollPip_(video)) return;
+    // Scrolling is no user activation, and unlike tab switches there is no MediaSession
+    // action to fall back on: without a recent click or key press the attempt is skipped
+    this.scheduleAutoPip_(video, 'scroll', this.settings.scrollDelay,
+      () => isOut(video) && this.canScrollPip_(video) && this.hasUserActivation_());
+  },
+
+  // Browsers refuse PiP requests without one; where this is unknown, the request is tried
+  hasUserActivation_() {
+    return !navigator.userActivation || navigator.userActivation.isActive;
+  },
+
+  canScrollPip_(video) {
+    return this.settings.autoPipOnScroll &&
+      !document.hidden &&
+      !video.paused && !video.ended &&
+      this.isSiteEnabled_() &&
+      !this.getAdReason_(video) &&
+      this.passesVideoRules_(video);
   },
 
   findPlayingVideo_() {
-    const videos = Array.from(document.querySelectorAll('video'));
-    return videos
-      .filter(v => !v.paused && !v.ended && v.readyState > 0)
-      .sort((a, b) => {
-        const aSize = a.videoWidth * a.videoHeight;
-        const bSize = b.videoWidth * b.videoHeight;
-        return bSize - aSize;
-      })[0] || null;
+    const best = this.rankVideos_(this.withoutAds_(this.queryAllVideos_())
+      .filter(v => !v.paused && !v.ended && v.readyState > 0))[0];
+    return best ? best.video : null;
   },
 
   isVideoVisible_(video) {
     if (!video) return false;
-    const rect = video.getBoundingClientRect();
+    const rect = this.getVideoRect_(video);
     return rect.width > 0 && rect.height > 0 && 
            rect.top < window.innerHeight && rect.bottom > 0 &&
            rect.left < window.innerWidth && rect.right > 0;
   },
 
-  isVideoEligible_(video) {
+  // Size and duration rules, which hold whether or not the video is on screen
+  passesVideoRules_(video) {
     if (!video) return false;
     
-    const rect = video.getBoundingClientRect();
+    const rect = this.getVideoRect_(video);
     
     // Check minimum dimensions
     if (rect.width < this.settings.minWidth || rect.height < this.settings.minHeight) {
       return false;
     }
     
-    // Check if video is visible
-    if (!this.isVideoVisible_(video)) {
-      return false;
-    }
-    
     // Check if video has minimum duration (if loaded)
     if (video.duration > 0 && video.duration < this.settings.minDuration) {
       return false;
@@ -533,26 +4151,114 @@ const PIP = {
     return true;
   },
 
+  isVideoEligible_(video) {
+    return this.passesVideoRules_(video) && this.isVideoVisible_(video);
+  },
+
+  // —— Localization ——
+  // The language setting, else the first browser language with a catalog, else English
+  getLanguage_() {
+    const chosen = this.settings && this.settings.language;
+    if (chosen && chosen !== 'auto' && K_MESSAGES[chosen]) return chosen;
+    return this.getBrowserLanguages_().find(lang => K_MESSAGES[lang]) || 'en';
+  },
+
+  // Primary subtags of the browser's languages, most preferred first
+  getBrowserLanguages_() {
+    const preferred = navigator.languages && navigator.languages.length ? navigator.languages : [navigator.language];
+    return preferred.map(tag => String(tag || '').toLowerCase().split('-')[0]);
+  },
+
+  // With 'auto', the direction follows the first browser language that has a catalog or is
+  // written right to left, so RTL readers get a mirrored layout while the strings fall back
+  isRtl_() {
+    const chosen = this.settings && this.settings.language;
+    if (chosen && chosen !== 'auto') return K_RTL_LANGUAGES.includes(chosen);
+    const lang = this.getBrowserLanguages_().find(l => K_MESSAGES[l] || K_RTL_LANGUAGES.includes(l));
+    return K_RTL_LANGUAGES.includes(lang);
+  },
+
+  // Looks a message up in the active catalog, then in English; {name} placeholders take params[name]
+  t_(key, params = {}) {
+    const catalog = K_MESSAGES[this.getLanguage_()] || {};
+    const template = key in catalog ? catalog[key] : (key in K_MESSAGES.en ? K_MESSAGES.en[key] : key);
+    return template.replace(/\{(\w+)\}/g, (match, name) => (name in params ? String(params[name]) : match));
+  },
+
+  updateButtonTitle_() {
+    const action = this.getToolbarActions_()[0];
+    if (action !== 'pip') {
+      this.pipButton_.title = this.t_('button.titleAction', { action: this.t_(`toolbar.${action}`) });
+      return;
+    }
+    const shortcut = this.settings.keymap && this.settings.keymap.togglePip;
+    this.pipButton_.title = shortcut
+      ? this.t_('button.titleShortcut', { shortcut })
+      : this.t_('button.title');
+  },
+
+  // —— Theme ——
+  getIconUrl_(settings = this.settings) {
+    return this.svgUrl_(settings.buttonIcon === 'custom' && settings.customIcon
+      ? settings.customIcon
+      : `<svg viewBox="0 0 24 24">${K_BUTTON_ICONS[settings.buttonIcon] || K_BUTTON_ICONS.pip}</svg>`);
+  },
+
+  svgUrl_(svg) {
+    // SVG images only render with their namespace declared
+    if (!/\sxmlns=/.test(svg)) svg = svg.replace(/<svg/i, '<svg xmlns="http://www.w3.org/2000/svg"');
+    return `url("data:image/svg+xml,${encodeURIComponent(svg)}")`;
+  },
+
+  // Writes the theme tokens; the settings modal passes its unsaved values as a live preview
+  applyTheme_(settings = this.settings) {
+    if (!this.themeStyle_) return;
+
+    const rules = [`:host { --pip-icon: ${this.getIconUrl_(settings)}; --pip-button-size: ${settings.buttonSize}px; }`];
+    if (settings.accentColor === 'system') {
+      rules.push('@supports (color: AccentColor) { :host { --pip-accent: AccentColor; --pip-accent-text: AccentColorText; } }');
+    } else {
+      // Dark text on light accents keeps buttons and badges readable
+      const [r, g, b] = [1, 3, 5].map(i => parseInt(settings.accentColor.slice(i, i + 2), 16));
+      const text = (r * 299 + g * 587 + b * 114) / 1000 > 160 ? '#000' : '#fff';
+      rules.push(`:host { --pip-accent: ${settings.accentColor}; --pip-accent-text: ${text}; }`);
+    }
+
+    const light = `:host { ${K_THEME_LIGHT_TOKENS} }`;
+    if (settings.theme === 'light') rules.push(light);
+    if (settings.theme === 'auto') rules.push(`@media (prefers-color-scheme: light) { ${light} }`);
+    this.themeStyle_.textContent = rules.join('\n');
+  },
+
   // —— Settings Modal ——
   openSettingsModal_() {
     if (!this.root_) return;
     
-    this.root_.querySelector('.pip-settings-modal')?.remove();
+    // A reopen (after an import) keeps the focus target of the first open
+    const existing = this.root_.querySelector('.pip-settings-modal');
+    if (existing) {
+      existing.remove();
+    } else {
+      let active = document.activeElement;
+      while (active && active.shadowRoot && active.shadowRoot.activeElement) active = active.shadowRoot.activeElement;
+      this.modalReturnFocus_ = active;
+    }
 
     const modal = document.createElement('div');
     modal.className = 'pip-settings-modal';
+    modal.lang = this.getLanguage_();
+    modal.dir = this.isRtl_() ? 'rtl' : 'ltr';
+    const siteKey = this.getSiteKey_();
+    const h = (key, params) => this.escapeHtml_(this.t_(key, params));
     
-    const positions = [
-      'top-left', 'top-center', 'top-right',
-      'mid-left', null, 'mid-right',
-      'bot-left', 'bot-center', 'bot-right'
-    ];
+    // Centre cell of the 3x3 grid stays empty
+    const positions = [...K_POSITIONS.slice(0, 4), null, ...K_POSITIONS.slice(4)];
 
-    let gridHtml = '<div class="pip-pos-grid">';
+    let gridHtml = `<div class="pip-pos-grid" data-setting="position" role="radiogroup" aria-label="${h('section.position')}">`;
     positions.forEach(pos => {
       if (pos) {
         const activeClass = this.settings.position === pos ? 'active' : '';
-        gridHtml += `<div class="pip-pos-cell ${activeClass}" data-pos="${pos}" title="${pos.replace('-', ' ')}"></div>`;
+        gridHtml += `<div class="pip-pos-cell ${activeClass}" data-pos="${pos}" role="radio" title="${h(`position.${pos}`)}" aria-label="${h(`position.${pos}`)}"></div>`;
       } else {
         gridHtml += `<div class="pip-pos-spacer"></div>`;
       }
@@ -561,198 +4267,993 @@ const PIP = {
 
     modal.innerHTML = `
       <div class="pip-modal-overlay"></div>
-      <div class="pip-modal-content">
+      <div class="pip-modal-content" role="dialog" aria-modal="true" aria-labelledby="pip-modal-title">
         <div class="pip-modal-header">
-          <h3>PiP Configuration</h3>
-          <button class="pip-modal-close">×</button>
+          <h3 id="pip-modal-title">${h('modal.title')}</h3>
+          <button class="pip-modal-close" title="${h('modal.close')}" aria-label="${h('modal.close')}">×</button>
+        </div>
+        <div class="pip-scope-bar">
+          <button class="pip-scope-btn" data-scope="global">${h('scope.global')}</button>
+          <button class="pip-scope-btn" data-scope="site" ${siteKey ? '' : 'disabled'}>${h('scope.site')}</button>
+          <span class="pip-scope-info"></span>
         </div>
         <div class="pip-modal-body">
+          ${this.settingsErrors_.length ? `<div class="pip-notice">${this.settingsErrors_.map(e => this.escapeHtml_(e)).join('<br>')}</div>` : ''}
           
           <div class="pip-columns">
             <div class="pip-col-main">
-              <div class="pip-section-title">Automation & Behavior</div>
+              <div class="pip-section-title" data-section="automation">${h('section.automation')}</div>
+              <label class="pip-row">
+                <input type="checkbox" id="pip-auto-enable" data-setting="autoPip">
+                <span>${h('field.autoPip')}</span>
+              </label>
+              <label class="pip-row-slider">
+                <span>${h('field.returnPolicy')}</span>
+                <select id="pip-return-policy" data-setting="returnPolicy">
+                  <option value="exit-auto">${h('field.returnExitAuto')}</option>
+                  <option value="exit">${h('field.returnExit')}</option>
+                  <option value="stay">${h('field.returnStay')}</option>
+                </select>
+              </label>
+              <label class="pip-row">
+                <input type="checkbox" id="pip-auto-scroll" data-setting="autoPipOnScroll">
+                <span>${h('field.autoPipOnScroll')}</span>
+              </label>
+              <div class="pip-hint">${h('field.autoPipOnScrollHint')}</div>
               <label class="pip-row">
-                <input type="checkbox" id="pip-auto-enable">
-                <span>Enable Auto-PiP on Tab Switch</span>
+                <input type="checkbox" id="pip-follow" data-setting="followMode">
+                <span>${h('field.followMode')}</span>
               </label>
               
               <div class="pip-dual-input">
                 <label>
-                  <span>Delay (ms)</span>
-                  <input type="number" id="pip-auto-delay" step="100" min="0">
+                  <span>${h('field.autoDelay')}</span>
+                  <input type="number" id="pip-auto-delay" data-setting="autoDelay" step="100">
+                </label>
+                <label>
+                  <span>${h('field.minDuration')}</span>
+                  <input type="number" id="pip-min-dur" data-setting="minDuration">
+                </label>
+              </div>
+
+              <div class="pip-dual-input">
+                <label>
+                  <span>${h('field.scrollDelay')}</span>
+                  <input type="number" id="pip-scroll-delay" data-setting="scrollDelay" step="100">
                 </label>
                 <label>
-                  <span>Min Duration (s)</span>
-                  <input type="number" id="pip-min-dur" min="0">
+                  <span>${h('field.scrollThreshold')}</span>
+                  <input type="number" id="pip-scroll-threshold" data-setting="scrollThreshold" step="0.05">
                 </label>
               </div>
               
               <div class="pip-dual-input">
                 <label>
-                  <span>Min Width (px)</span>
-                  <input type="number" id="pip-min-width" step="10" min="50" max="2000">
+                  <span>${h('field.minWidth')}</span>
+                  <input type="number" id="pip-min-width" data-setting="minWidth" step="10">
                 </label>
                 <label>
-                  <span>Min Height (px)</span>
-                  <input type="number" id="pip-min-height" step="10" min="50" max="2000">
+                  <span>${h('field.minHeight')}</span>
+                  <input type="number" id="pip-min-height" data-setting="minHeight" step="10">
                 </label>
               </div>
 
-              <div class="pip-section-title">Appearance & Control</div>
+              <div class="pip-section-title" data-section="appearance">${h('section.appearance')}</div>
               <label class="pip-row">
-                <input type="checkbox" id="pip-hide-when-active">
-                <span>Hide Button When PiP is Active</span>
+                <input type="checkbox" id="pip-hide-when-active" data-setting="hideButtonWhenActive">
+                <span>${h('field.hideButtonWhenActive')}</span>
+              </label>
+
+              <label class="pip-row-slider">
+                <span>${h('field.pipMode')}</span>
+                <select id="pip-mode" data-setting="pipMode">
+                  <option value="native">${h('field.pipModeNative')}</option>
+                  <option value="document">${h('field.pipModeDocument')}</option>
+                </select>
               </label>
+              ${this.isDocumentPipSupported_() ? '' : `<div class="pip-hint">${h('field.pipModeHint')}</div>`}
               
               <label class="pip-row-slider">
-                <span>Button Opacity (Idle): <span id="opacity-value">${this.settings.opacity}</span></span>
-                <input type="range" id="pip-opacity" min="0.0" max="1" step="0.1">
+                <span>${h('field.opacity')} <span id="opacity-value"></span></span>
+                <input type="range" id="pip-opacity" data-setting="opacity" step="0.1">
+              </label>
+              <div class="pip-dual-input">
+                <label>
+                  <span>${h('field.buttonSize')}</span>
+                  <input type="number" id="pip-button-size" data-setting="buttonSize" step="2">
+                </label>
+                <label>
+                  <span>${h('field.buttonMargin')}</span>
+                  <input type="number" id="pip-button-margin" data-setting="buttonMargin">
+                </label>
+              </div>
+              <span class="pip-label">${h('field.toolbarActions')}</span>
+              <div class="pip-toolbar-list" data-setting="toolbarActions" role="group" aria-label="${h('setting.toolbarActions')}">
+                ${Object.keys(K_TOOLBAR_ACTIONS).map(action => `
+                  <div class="pip-toolbar-row" data-action="${action}">
+                    <label class="pip-row">
+                      <input type="checkbox">
+                      <span>${h(`toolbar.${action}`)}</span>
+                    </label>
+                    <button class="pip-order-btn" data-step="-1" aria-label="${h('field.moveUp', { action: this.t_(`toolbar.${action}`) })}">↑</button>
+                    <button class="pip-order-btn" data-step="1" aria-label="${h('field.moveDown', { action: this.t_(`toolbar.${action}`) })}">↓</button>
+                  </div>
+                `).join('')}
+              </div>
+              <div class="pip-hint pip-hint-block">${h('field.toolbarHint')}</div>
+              <label class="pip-row-slider">
+                <span>${h('field.screenshotFormat')}</span>
+                <select id="pip-screenshot-format" data-setting="screenshotFormat">
+                  <option value="png">PNG</option>
+                  <option value="jpeg">JPEG</option>
+                </select>
               </label>
               <label class="pip-row-slider">
-                <span>Seek Interval (sec):</span>
-                <input type="number" id="pip-seek" min="1" max="60">
+                <span>${h('field.screenshotTarget')}</span>
+                <select id="pip-screenshot-target" data-setting="screenshotTarget">
+                  <option value="download">${h('field.screenshotDownload')}</option>
+                  <option value="clipboard">${h('field.screenshotClipboard')}</option>
+                </select>
               </label>
-              
-              <label class="pip-label">Boss Key Shortcut:</label>
-              <input type="text" id="pip-shortcut" placeholder="Click to record..." readonly class="shortcut-input">
+              <label class="pip-row-slider">
+                <span>${h('field.seekInterval')}</span>
+                <input type="number" id="pip-seek" data-setting="seekInterval">
+              </label>
+              <label class="pip-row-slider">
+                <span>${h('field.language')}</span>
+                <select id="pip-language" data-setting="language">
+                  <option value="auto">${h('language.auto')}</option>
+                  ${Object.keys(K_MESSAGES).map(lang => `<option value="${lang}" lang="${lang}">${this.escapeHtml_(K_MESSAGES[lang]['language.name'])}</option>`).join('')}
+                </select>
+              </label>
+              <label class="pip-row-slider">
+                <span>${h('field.theme')}</span>
+                <select id="pip-theme" data-setting="theme">
+                  <option value="dark">${h('field.themeDark')}</option>
+                  <option value="light">${h('field.themeLight')}</option>
+                  <option value="auto">${h('field.themeAuto')}</option>
+                </select>
+              </label>
+              <div class="pip-row-slider">
+                <span>${h('field.accent')}</span>
+                <div class="pip-accent" data-setting="accentColor">
+                  <select class="pip-accent-mode" aria-label="${h('setting.accentColor')}">
+                    <option value="custom">${h('field.accentCustom')}</option>
+                    <option value="system">${h('field.accentSystem')}</option>
+                  </select>
+                  <input type="color" class="pip-accent-color" aria-label="${h('field.accentColor')}">
+                </div>
+              </div>
+              <label class="pip-row-slider">
+                <span>${h('field.icon')}</span>
+                <select id="pip-icon" data-setting="buttonIcon">
+                  ${[...Object.keys(K_BUTTON_ICONS), 'custom'].map(icon => `<option value="${icon}">${h(`icon.${icon}`)}</option>`).join('')}
+                </select>
+              </label>
+              <textarea id="pip-custom-icon" class="pip-custom-icon" data-setting="customIcon" rows="3" aria-label="${h('field.customIcon')}" placeholder="${h('field.customIcon')}"></textarea>
+              <div class="pip-theme-preview-row" aria-hidden="true">
+                <span>${h('field.preview')}</span>
+                <div class="pip-theme-preview"></div>
+                <div class="pip-theme-preview hover"></div>
+              </div>
+
+              <div class="pip-sizes">
+                <span>${h('field.sizes')}</span>
+                <div id="pip-sizes-list" class="pip-rule-result"></div>
+                <div class="pip-hint pip-hint-block">${h('field.sizesHint')}</div>
+                <div class="pip-import-actions">
+                  <button class="pip-btn-tool pip-sizes-clear">${h('field.sizesClear')}</button>
+                </div>
+              </div>
             </div>
 
             <div class="pip-col-side">
-               <div class="pip-section-title">Button Position</div>
+               <div class="pip-section-title" data-section="position">${h('section.position')}</div>
                ${gridHtml}
             </div>
           </div>
 
           <div class="pip-group">
-            <div class="pip-section-title">Blacklist (Domain per line)</div>
-            <textarea id="pip-blacklist" rows="4" placeholder="tiktok.com&#10;youtube.com/shorts"></textarea>
+            <div class="pip-section-title" data-section="keys">${h('section.keys')}</div>
+            <div class="pip-keymap" data-setting="keymap">
+              ${Object.keys(K_KEY_ACTIONS).map(action => `
+                <div class="pip-key-row">
+                  <span class="pip-key-label">${h(`action.${action}`)}</span>
+                  <input type="text" class="shortcut-input pip-key-input" data-action="${action}" placeholder="${h('keys.unbound')}" aria-label="${h(`action.${action}`)}" readonly>
+                  <button class="pip-key-clear" data-action="${action}" title="${h('keys.remove')}" aria-label="${h('keys.removeAction', { action: this.t_(`action.${action}`) })}">×</button>
+                  <div class="pip-key-conflict" data-action="${action}"></div>
+                </div>
+              `).join('')}
+            </div>
+            <label class="pip-row">
+              <input type="checkbox" id="pip-keymap-code" data-setting="keymapUseCode">
+              <span>${h('field.keymapUseCode')}</span>
+            </label>
+            <div class="pip-hint pip-hint-block">${h('field.keymapHint')}</div>
+          </div>
+
+          <div class="pip-group">
+            <div class="pip-section-title" data-section="sites">${h('section.sites')}</div>
+            <label class="pip-row-slider">
+              <span>${h('field.siteListMode')}</span>
+              <select id="pip-site-mode" data-setting="siteListMode">
+                <option value="block">${h('field.siteBlock')}</option>
+                <option value="allow">${h('field.siteAllow')}</option>
+              </select>
+            </label>
+            <textarea id="pip-blacklist" data-setting="blacklist" rows="4" aria-label="${h('section.sites')}" placeholder="tiktok.com&#10;*.example.com&#10;youtube.com/shorts&#10;/^https:\/\/.+\/live\//&#10;!music.youtube.com"></textarea>
+            <div class="pip-hint pip-hint-block">${h('field.siteRulesHint')}</div>
+            <div class="pip-rule-test">
+              <input type="text" id="pip-rule-test-url" placeholder="${h('field.ruleTest')}">
+              <div id="pip-rule-test-result" class="pip-rule-result" aria-live="polite"></div>
+            </div>
+          </div>
+
+          <div class="pip-group pip-import-panel" hidden>
+            <div class="pip-section-title">${h('section.import')}</div>
+            <textarea id="pip-import-text" rows="5" placeholder="${h('field.importText')}"></textarea>
+            <input type="file" id="pip-import-file" accept=".json,application/json" hidden>
+            <div id="pip-import-preview" class="pip-rule-result" aria-live="polite"></div>
+            <div class="pip-import-actions">
+              <button class="pip-btn-tool pip-import-load">${h('import.load')}</button>
+              <button class="pip-btn-tool pip-import-apply" disabled>${h('import.apply')}</button>
+              <button class="pip-btn-tool pip-import-cancel">${h('import.close')}</button>
+            </div>
           </div>
 
         </div>
         <div class="pip-modal-footer">
-          <button class="pip-btn-save">Save Settings</button>
-          <button class="pip-btn-cancel">Cancel</button>
+          <div class="pip-footer-tools">
+            <button class="pip-btn-tool pip-export-file" title="${h('footer.exportTitle')}">${h('footer.export')}</button>
+            <button class="pip-btn-tool pip-export-copy" title="${h('footer.copyTitle')}">${h('footer.copy')}</button>
+            <button class="pip-btn-tool pip-import-open">${h('footer.import')}</button>
+            <button class="pip-btn-tool pip-reset-all" title="${h('footer.resetAllTitle')}">${h('footer.resetAll')}</button>
+          </div>
+          <button class="pip-btn-save" title="${h('footer.saveTitle')}">${h('footer.save')}</button>
+          <button class="pip-btn-cancel">${h('footer.cancel')}</button>
         </div>
       </div>
     `;
 
-    this.root_.appendChild(modal);
+    this.root_.appendChild(modal);
+
+    const els = {
+      opacity: modal.querySelector('#pip-opacity'),
+      opacityValue: modal.querySelector('#opacity-value'),
+      keymap: modal.querySelector('.pip-keymap'),
+      toolbar: modal.querySelector('.pip-toolbar-list'),
+      keyInputs: modal.querySelectorAll('.pip-key-input'),
+      keymapCode: modal.querySelector('#pip-keymap-code'),
+      blacklist: modal.querySelector('#pip-blacklist'),
+      siteMode: modal.querySelector('#pip-site-mode'),
+      ruleTestUrl: modal.querySelector('#pip-rule-test-url'),
+      ruleTestResult: modal.querySelector('#pip-rule-test-result'),
+      save: modal.querySelector('.pip-btn-save'),
+      cancel: modal.querySelector('.pip-btn-cancel'),
+      close: modal.querySelector('.pip-modal-close'),
+      overlay: modal.querySelector('.pip-modal-overlay'),
+      grid: modal.querySelector('.pip-pos-grid'),
+      accent: modal.querySelector('.pip-accent'),
+      accentMode: modal.querySelector('.pip-accent-mode'),
+      accentColor: modal.querySelector('.pip-accent-color'),
+      customIcon: modal.querySelector('#pip-custom-icon'),
+      gridCells: modal.querySelectorAll('.pip-pos-cell'),
+      scopeButtons: modal.querySelectorAll('.pip-scope-btn'),
+      scopeInfo: modal.querySelector('.pip-scope-info')
+    };
+
+    // Keymap conflicts, shown under each binding
+    const refreshKeyConflicts = () => {
+      if (!fields.keymap) return;
+      const conflicts = this.findKeymapConflicts_(fields.keymap.get());
+      modal.querySelectorAll('.pip-key-conflict').forEach(div => {
+        div.textContent = (conflicts[div.getAttribute('data-action')] || []).join(' · ');
+      });
+    };
+
+    // Grid Logic
+    let selectedPos = this.settings.position;
+    const selectPos = (pos) => {
+      selectedPos = pos;
+      els.gridCells.forEach(c => {
+        const active = c.getAttribute('data-pos') === pos;
+        c.classList.toggle('active', active);
+        c.setAttribute('aria-checked', String(active));
+        c.tabIndex = active ? 0 : -1;
+      });
+    };
+
+    // Field accessors for every [data-setting] element; the schema decides how values are read
+    const fields = {};
+    modal.querySelectorAll('[data-setting]').forEach(el => {
+      const name = el.getAttribute('data-setting');
+      const spec = K_SETTINGS_SCHEMA[name];
+      if (spec.min !== undefined) el.min = spec.min;
+      if (spec.max !== undefined) el.max = spec.max;
+
+      if (el === els.grid) {
+        fields[name] = { el, get: () => selectedPos, set: v => selectPos(v) };
+      } else if (el === els.keymap) {
+        fields[name] = {
+          el,
+          get: () => {
+            const keymap = {};
+            els.keyInputs.forEach(input => {
+              keymap[input.getAttribute('data-action')] = input.value !== this.t_('keys.recording') ? input.value : '';
+            });
+            return keymap;
+          },
+          set: v => {
+            els.keyInputs.forEach(input => { input.value = v[input.getAttribute('data-action')] || ''; });
+            refreshKeyConflicts();
+          }
+        };
+      } else if (el === els.toolbar) {
+        // Checked rows in their current order; set() moves the listed actions to the top
+        fields[name] = {
+          el,
+          get: () => [...el.querySelectorAll('.pip-toolbar-row')]
+            .filter(row => row.querySelector('input').checked)
+            .map(row => row.getAttribute('data-action')),
+          set: v => {
+            const rows = [...el.querySelectorAll('.pip-toolbar-row')];
+            rows.forEach(row => { row.querySelector('input').checked = v.includes(row.getAttribute('data-action')); });
+            rows.sort((a, b) => {
+              const rank = row => (v.includes(row.getAttribute('data-action')) ? v.indexOf(row.getAttribute('data-action')) : v.length);
+              return rank(a) - rank(b);
+            });
+            el.append(...rows);
+          }
+        };
+      } else if (el === els.accent) {
+        fields[name] = {
+          el,
+          get: () => (els.accentMode.value === 'system' ? 'system' : els.accentColor.value),
+          set: v => {
+            els.accentMode.value = v === 'system' ? 'system' : 'custom';
+            if (v !== 'system') els.accentColor.value = v;
+            els.accentColor.disabled = v === 'system';
+          }
+        };
+      } else if (spec.type === 'boolean') {
+        fields[name] = { el, get: () => el.checked, set: v => { el.checked = v; } };
+      } else {
+        fields[name] = { el, get: () => el.value, set: v => { el.value = v; } };
+      }
+    });
+
+    const opacitySet = fields.opacity.set;
+    fields.opacity.set = v => {
+      opacitySet(v);
+      els.opacityValue.textContent = v;
+    };
+
+    // Scope Logic: edits go to a draft of the global values or of this site's overrides
+    const draft = {
+      global: { ...this.globalSettings_ },
+      site: { ...this.getSiteProfile_(siteKey) }
+    };
+    let scope = 'global';
+
+    const badges = {};
+    K_PROFILE_KEYS.forEach(key => {
+      const anchor = key === 'position' || key === 'toolbarActions'
+        ? fields[key].el.previousElementSibling
+        : fields[key].el.closest('label') || fields[key].el;
+      const badge = document.createElement('span');
+      badge.className = 'pip-scope-badge';
+      badge.onclick = (e) => {
+        e.preventDefault();
+        e.stopPropagation();
+        if (scope !== 'site' || !(key in draft.site)) return;
+        delete draft.site[key];
+        fields[key].set(draft.global[key]);
+        refreshBadges();
+      };
+      badge.addEventListener('keydown', (e) => {
+        // Space would otherwise scroll the dialog
+        if (e.key === 'Enter' || e.key === ' ') {
+          e.preventDefault();
+          badge.onclick(e);
+        }
+      });
+      anchor.appendChild(badge);
+      badges[key] = badge;
+    });
+
+    const refreshBadges = () => {
+      Object.keys(badges).forEach(key => {
+        const overridden = key in draft.site;
+        badges[key].hidden = scope !== 'site';
+        badges[key].classList.toggle('overridden', overridden);
+        // Only an override can be acted on, so only then is the badge a button
+        if (overridden) {
+          badges[key].setAttribute('role', 'button');
+          badges[key].tabIndex = 0;
+        } else {
+          badges[key].removeAttribute('role');
+          badges[key].removeAttribute('tabindex');
+        }
+        badges[key].textContent = this.t_(overridden ? 'badge.overridden' : 'badge.inherited');
+        badges[key].title = this.t_(overridden ? 'badge.overriddenTitle' : 'badge.inheritedTitle');
+      });
+      const count = Object.keys(draft.site).length;
+      // Defaults and overrides share the site's own storage, which the labels alone don't tell
+      const storage = siteKey ? this.t_('scope.storage', { site: siteKey }) : '';
+      els.scopeInfo.textContent = scope === 'site' || !count
+        ? storage
+        : this.t_('scope.overrides', { count, site: siteKey });
+      els.scopeInfo.title = storage;
+    };
+
+    // Validates every field into the draft; returns the error messages, if any
+    const readFields = () => {
+      const errors = [];
+      Object.keys(fields).forEach(key => {
+        const { value, error } = this.normalizeSetting_(key, fields[key].get());
+        fields[key].el.classList.toggle('invalid', !!error);
+        if (error) {
+          errors.push(error);
+          return;
+        }
+        if (scope === 'global' || !K_PROFILE_KEYS.includes(key)) {
+          draft.global[key] = value;
+        } else if (key in draft.site) {
+          draft.site[key] = value;
+        }
+      });
+      return errors;
+    };
+
+    const showScope = (next) => {
+      scope = next;
+      const values = scope === 'site' ? { ...draft.global, ...draft.site } : draft.global;
+      K_PROFILE_KEYS.forEach(key => fields[key].set(values[key]));
+      els.scopeButtons.forEach(b => {
+        const active = b.getAttribute('data-scope') === scope;
+        b.classList.toggle('active', active);
+        b.setAttribute('aria-pressed', String(active));
+      });
+      refreshBadges();
+    };
+
+    els.scopeButtons.forEach(btn => {
+      btn.onclick = () => {
+        const next = btn.getAttribute('data-scope');
+        if (next === scope) return;
+        const errors = readFields();
+        if (errors.length) {
+          this.showToast_(errors[0]);
+          return;
+        }
+        showScope(next);
+      };
+    });
+
+    // In site scope, touching a field turns it into an override
+    K_PROFILE_KEYS.forEach(key => {
+      const markOverridden = () => {
+        if (scope !== 'site') return;
+        draft.site[key] = fields[key].get();
+        refreshBadges();
+      };
+      fields[key].el.addEventListener('change', markOverridden);
+      fields[key].el.addEventListener('input', markOverridden);
+    });
+
+    const choosePos = (pos) => {
+      selectPos(pos);
+      if (scope === 'site') {
+        draft.site.position = selectedPos;
+        refreshBadges();
+      }
+    };
+    els.gridCells.forEach(cell => {
+      cell.onclick = () => choosePos(cell.getAttribute('data-pos'));
+    });
+
+    // Arrow keys move the selection across the 3x3 layout, stepping over the empty centre
+    const gridSteps = { ArrowUp: [-1, 0], ArrowDown: [1, 0], ArrowLeft: [0, -1], ArrowRight: [0, 1] };
+    els.grid.addEventListener('keydown', (e) => {
+      const step = gridSteps[e.key];
+      if (!step) return;
+      e.preventDefault();
+      let row = Math.floor(positions.indexOf(selectedPos) / 3);
+      let col = positions.indexOf(selectedPos) % 3;
+      do {
+        row += step[0];
+        col += step[1];
+      } while (row === 1 && col === 1);
+      if (row < 0 || row > 2 || col < 0 || col > 2) return;
+      choosePos(positions[row * 3 + col]);
+      els.grid.querySelector('.pip-pos-cell[tabindex="0"]').focus();
+    });
+
+    // Populate Data
+    Object.keys(fields).forEach(key => fields[key].set(draft.global[key]));
+    showScope(siteKey && Object.keys(draft.site).length ? 'site' : 'global');
+    els.ruleTestUrl.value = window.location.href;
+
+    // Live theme preview: the modal and the sample buttons restyle until Save or Cancel
+    const themeKeys = ['theme', 'accentColor', 'buttonIcon', 'customIcon', 'buttonSize'];
+    const previewTheme = () => {
+      const preview = { ...this.settings };
+      themeKeys.forEach(key => {
+        const { value, error } = this.normalizeSetting_(key, fields[key].get());
+        if (!error) preview[key] = value;
+      });
+      els.accentColor.disabled = els.accentMode.value === 'system';
+      els.customIcon.hidden = fields.buttonIcon.get() !== 'custom';
+      this.applyTheme_(preview);
+    };
+    themeKeys.forEach(key => {
+      fields[key].el.addEventListener('input', previewTheme);
+      fields[key].el.addEventListener('change', previewTheme);
+    });
+    previewTheme();
+
+    // Live rule tester, runs against the unsaved rules
+    const updateRuleTest = () => {
+      const invalid = this.parseSiteRules_(els.blacklist.value).filter(r => r.type === 'invalid');
+      const lines = [this.describeSiteRuleTest_(els.ruleTestUrl.value.trim(), els.blacklist.value, els.siteMode.value)];
+      invalid.forEach(r => lines.push(this.t_('rules.ignored', { line: r.line, error: r.error })));
+      els.ruleTestResult.textContent = lines.join('\n');
+      els.ruleTestResult.classList.toggle('error', invalid.length > 0);
+    };
+    els.blacklist.addEventListener('input', updateRuleTest);
+    els.siteMode.addEventListener('change', updateRuleTest);
+    els.ruleTestUrl.addEventListener('input', updateRuleTest);
+    updateRuleTest();
+
+    // Opacity slider feedback
+    els.opacity.addEventListener('input', () => {
+      els.opacityValue.textContent = els.opacity.value;
+    });
+
+    // Bindings follow the matching mode; what can't be converted is unbound for re-recording
+    els.keymapCode.addEventListener('change', () => {
+      const toCode = els.keymapCode.checked;
+      this.getKeyboardLayout_().then(layout => {
+        if (els.keymapCode.checked !== toCode) return; // Toggled back in the meantime
+        let cleared = 0;
+        els.keyInputs.forEach(input => {
+          if (!input.value) return;
+          const converted = this.convertCombo_(input.value, toCode, layout);
+          if (!converted) cleared++;
+          input.value = converted || '';
+        });
+        refreshKeyConflicts();
+        if (cleared) this.showToast_(this.t_('keys.rerecord', { count: cleared }));
+      });
+    });
+
+    // Keymap Recorder Logic
+    els.keyInputs.forEach(input => {
+      let previous = '';
+      let recording = false;
+
+      input.addEventListener('focus', () => {
+        previous = input.value;
+        input.classList.add('recording');
+        input.value = this.t_('keys.recording');
+        recording = true;
+      });
+
+      input.addEventListener('blur', () => {
+        input.classList.remove('recording');
+        if (input.value === this.t_('keys.recording')) {
+          input.value = previous;
+        }
+        recording = false;
+        refreshKeyConflicts();
+      });
+
+      input.addEventListener('keydown', (e) => {
+        if (!recording) return;
+        // Tab keeps moving focus, so keyboard users can leave the field
+        if (e.key === 'Tab' && !e.ctrlKey && !e.altKey && !e.metaKey) return;
+        e.preventDefault();
+        e.stopPropagation();
+
+        const plain = !e.ctrlKey && !e.altKey && !e.shiftKey && !e.metaKey;
+        if (plain && e.key === 'Escape') {
+          input.blur();
+          return;
+        }
+        if (plain && (e.key === 'Backspace' || e.key === 'Delete')) {
+          previous = '';
+          input.blur();
+          return;
+        }
+
+        const combo = this.comboFromEvent_(e, els.keymapCode.checked);
+        if (!combo) return;
+        input.value = combo;
+        previous = combo;
+        input.blur();
+      });
+    });
+
+    modal.querySelectorAll('.pip-key-clear').forEach(btn => {
+      btn.onclick = () => {
+        const input = modal.querySelector(`.pip-key-input[data-action="${btn.getAttribute('data-action')}"]`);
+        input.value = '';
+        refreshKeyConflicts();
+      };
+    });
+
+    // Toolbar order: a move counts as an edit, like ticking a box
+    els.toolbar.querySelectorAll('.pip-order-btn').forEach(btn => {
+      btn.onclick = () => {
+        const row = btn.closest('.pip-toolbar-row');
+        const step = Number(btn.getAttribute('data-step'));
+        const sibling = step < 0 ? row.previousElementSibling : row.nextElementSibling;
+        if (!sibling) return;
+        sibling.insertAdjacentElement(step < 0 ? 'beforebegin' : 'afterend', row);
+        btn.focus();
+        els.toolbar.dispatchEvent(new Event('change'));
+      };
+    });
+
+    // Reset Logic: restores defaults into the form, nothing is stored until Save.
+    // In site scope a reset drops the overrides instead, so the values inherit again.
+    const resetKeys = (keys) => {
+      keys.forEach(key => {
+        if (scope === 'site' && K_PROFILE_KEYS.includes(key)) {
+          delete draft.site[key];
+          fields[key].set(draft.global[key]);
+        } else {
+          fields[key].set(K_SETTINGS_SCHEMA[key].default);
+        }
+        fields[key].el.classList.remove('invalid');
+      });
+      refreshBadges();
+      updateRuleTest();
+      previewTheme();
+    };
+
+    modal.querySelectorAll('.pip-section-title[data-section]').forEach(title => {
+      const section = title.getAttribute('data-section');
+      const btn = document.createElement('button');
+      btn.className = 'pip-reset-section';
+      btn.textContent = this.t_('section.reset');
+      btn.title = this.t_('section.resetTitle');
+      btn.onclick = () => resetKeys(Object.keys(fields).filter(key => K_SETTINGS_SCHEMA[key].section === section));
+      title.appendChild(btn);
+    });
+
+    modal.querySelector('.pip-reset-all').onclick = () => resetKeys(Object.keys(fields));
+
+    // Window sizes are not settings, so clearing them takes effect right away
+    const sizesList = modal.querySelector('#pip-sizes-list');
+    const renderSizes = () => {
+      sizesList.textContent = this.describePipSizes_().join('\n');
+    };
+    modal.querySelector('.pip-sizes-clear').onclick = () => {
+      this.clearPipSizes_();
+      renderSizes();
+    };
+    renderSizes();
+
+    // Export / Import Logic
+    modal.querySelector('.pip-export-file').onclick = () => this.downloadSettings_();
+    modal.querySelector('.pip-export-copy').onclick = () => {
+      this.copySettings_()
+        .then(() => this.showToast_(this.t_('toast.copied')))
+        .catch(() => this.showToast_(this.t_('toast.copyFailed')));
+    };
+
+    const importEls = {
+      panel: modal.querySelector('.pip-import-panel'),
+      text: modal.querySelector('#pip-import-text'),
+      file: modal.querySelector('#pip-import-file'),
+      preview: modal.querySelector('#pip-import-preview'),
+      apply: modal.querySelector('.pip-import-apply')
+    };
+    let pendingImport = null;
+    let discardConfirmed = false;
+
+    // Whether the dialog holds edits that Save hasn't stored yet
+    const hasUnsavedEdits = () => {
+      if (readFields().length) return true;
+      const same = (a, b) => Object.keys({ ...a, ...b }).every(key => JSON.stringify(a[key]) === JSON.stringify(b[key]));
+      return !same(draft.global, this.globalSettings_) || !same(draft.site, this.getSiteProfile_(siteKey));
+    };
+
+    const previewImport = () => {
+      const text = importEls.text.value.trim();
+      pendingImport = null;
+      discardConfirmed = false;
+      importEls.apply.textContent = this.t_('import.apply');
+      importEls.apply.disabled = true;
+      importEls.preview.classList.remove('error');
+      if (!text) {
+        importEls.preview.textContent = '';
+        return;
+      }
+
+      const imported = this.parseSettingsImport_(text);
+      if (imported.errors.length) {
+        importEls.preview.textContent = imported.errors.join('\n');
+        importEls.preview.classList.add('error');
+        return;
+      }
+
+      const changes = this.describeSettingsChanges_(imported);
+      importEls.preview.textContent = [
+        ...(changes.length ? changes : [this.t_('import.noChanges')]),
+        ...imported.warnings.map(w => `! ${w}`)
+      ].join('\n');
+      importEls.preview.classList.toggle('error', imported.warnings.length > 0);
+      pendingImport = changes.length ? imported : null;
+      importEls.apply.disabled = !pendingImport;
+    };
+
+    modal.querySelector('.pip-import-open').onclick = () => {
+      importEls.panel.hidden = false;
+      importEls.text.focus();
+    };
+    modal.querySelector('.pip-import-cancel').onclick = () => {
+      importEls.panel.hidden = true;
+    };
+    modal.querySelector('.pip-import-load').onclick = () => importEls.file.click();
+    importEls.file.addEventListener('change', () => {
+      const file = importEls.file.files && importEls.file.files[0];
+      if (!file) return;
+      file.text().then(text => {
+        importEls.text.value = text;
+        previewImport();
+      }).catch(e => {
+        pendingImport = null;
+        importEls.apply.disabled = true;
+        importEls.preview.textContent = this.t_('import.readFailed', { error: e.message });
+        importEls.preview.classList.add('error');
+      });
+    });
+    importEls.text.addEventListener('input', previewImport);
+    importEls.apply.onclick = () => {
+      if (!pendingImport) return;
+      // Applying rebuilds the dialog from the stored settings, so unsaved edits need a second click
+      if (!discardConfirmed && hasUnsavedEdits()) {
+        discardConfirmed = true;
+        importEls.preview.textContent += `\n! ${this.t_('import.unsavedEdits')}`;
+        importEls.preview.classList.add('error');
+        importEls.apply.textContent = this.t_('import.applyAnyway');
+        return;
+      }
+      this.applySettingsImport_(pendingImport);
+      this.settingsErrors_ = [];
+      this.openSettingsModal_();
+      this.showToast_(this.t_('toast.imported'));
+    };
+
+    const closeFn = () => {
+      modal.remove();
+      this.applyTheme_();
+      const returnFocus = this.modalReturnFocus_;
+      this.modalReturnFocus_ = null;
+      if (returnFocus && returnFocus.isConnected && returnFocus.focus) returnFocus.focus();
+    };
+    els.close.onclick = els.overlay.onclick = els.cancel.onclick = closeFn;
+
+    // Escape closes; Tab and Shift+Tab cycle through the dialog instead of leaving it
+    modal.addEventListener('keydown', (e) => {
+      if (e.key === 'Escape') {
+        e.preventDefault();
+        e.stopPropagation();
+        closeFn();
+        return;
+      }
+      if (e.key !== 'Tab') return;
+
+      const focusable = [...modal.querySelectorAll('button, input, select, textarea, [tabindex]')]
+        .filter(el => !el.disabled && el.tabIndex >= 0 && !el.closest('[hidden]'));
+      if (!focusable.length) return;
+      const first = focusable[0];
+      const last = focusable[focusable.length - 1];
+      const active = this.root_.activeElement;
+      if (e.shiftKey && (active === first || !modal.contains(active))) {
+        e.preventDefault();
+        last.focus();
+      } else if (!e.shiftKey && (active === last || !modal.contains(active))) {
+        e.preventDefault();
+        first.focus();
+      }
+    });
+
+    els.save.onclick = () => {
+      const errors = readFields();
+      if (errors.length) {
+        this.showToast_(errors[0]);
+        return;
+      }
+
+      this.globalSettings_ = draft.global;
+      this.setSiteProfile_(siteKey, draft.site);
+      this.applySiteProfile_();
+
+      this.saveSettings_();
+      this.settingsErrors_ = [];
+      closeFn();
+      this.showToast_(this.t_('toast.saved'));
+    };
+
+    (modal.querySelector('.pip-modal-body [data-setting]') || els.close).focus();
+  },
+
+  // —— Import / Export ——
+  exportSettings_() {
+    return {
+      format: K_EXPORT_FORMAT,
+      version: K_SETTINGS_VERSION,
+      settings: { ...this.globalSettings_ },
+      profiles: JSON.parse(JSON.stringify(this.siteProfiles_))
+    };
+  },
+
+  downloadSettings_() {
+    const json = JSON.stringify(this.exportSettings_(), null, 2);
+    const url = URL.createObjectURL(new Blob([json], { type: 'application/json' }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = K_EXPORT_FILENAME;
+    this.root_.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+  },
+
+  copySettings_() {
+    const json = JSON.stringify(this.exportSettings_(), null, 2);
+    if (!navigator.clipboard || !navigator.clipboard.writeText) {
+      return Promise.reject(new Error('Clipboard not available'));
+    }
+    return navigator.clipboard.writeText(json);
+  },
 
-    const els = {
-      autoEnable: modal.querySelector('#pip-auto-enable'),
-      autoDelay: modal.querySelector('#pip-auto-delay'),
-      minDur: modal.querySelector('#pip-min-dur'),
-      minWidth: modal.querySelector('#pip-min-width'),
-      minHeight: modal.querySelector('#pip-min-height'),
-      hideWhenActive: modal.querySelector('#pip-hide-when-active'),
-      opacity: modal.querySelector('#pip-opacity'),
-      opacityValue: modal.querySelector('#opacity-value'),
-      seek: modal.querySelector('#pip-seek'),
-      shortcut: modal.querySelector('#pip-shortcut'),
-      blacklist: modal.querySelector('#pip-blacklist'),
-      save: modal.querySelector('.pip-btn-save'),
-      cancel: modal.querySelector('.pip-btn-cancel'),
-      close: modal.querySelector('.pip-modal-close'),
-      overlay: modal.querySelector('.pip-modal-overlay'),
-      gridCells: modal.querySelectorAll('.pip-pos-cell')
-    };
+  // Validates an export against the schema; nothing is applied here
+  parseSettingsImport_(text) {
+    const result = { settings: null, profiles: null, errors: [], warnings: [] };
 
-    // Populate Data
-    els.autoEnable.checked = this.settings.autoPip;
-    els.autoDelay.value = this.settings.autoDelay;
-    els.minDur.value = this.settings.minDuration;
-    els.minWidth.value = this.settings.minWidth;
-    els.minHeight.value = this.settings.minHeight;
-    els.hideWhenActive.checked = this.settings.hideButtonWhenActive;
-    els.opacity.value = this.settings.opacity;
-    els.seek.value = this.settings.seekInterval;
-    els.shortcut.value = this.settings.shortcut;
-    els.blacklist.value = this.settings.blacklist;
+    let data;
+    try {
+      data = JSON.parse(text);
+    } catch(e) {
+      result.errors.push(this.t_('import.invalidJson', { error: e.message }));
+      return result;
+    }
 
-    // Opacity slider feedback
-    els.opacity.addEventListener('input', () => {
-      els.opacityValue.textContent = els.opacity.value;
-    });
+    if (!data || typeof data !== 'object' || data.format !== K_EXPORT_FORMAT) {
+      result.errors.push(this.t_('import.notExport'));
+      return result;
+    }
+    if (typeof data.version !== 'number' || data.version > K_SETTINGS_VERSION) {
+      result.errors.push(this.t_('import.newer', { version: data.version }));
+      return result;
+    }
 
-    // Grid Logic
-    let selectedPos = this.settings.position;
-    els.gridCells.forEach(cell => {
-      cell.onclick = () => {
-        els.gridCells.forEach(c => c.classList.remove('active'));
-        cell.classList.add('active');
-        selectedPos = cell.getAttribute('data-pos');
-      };
-    });
+    // Profiles hold the same settings, so they get the same upgrades
+    const upgrades = K_SETTINGS_MIGRATIONS
+      .filter(m => m.version > data.version && m.upgrade)
+      .sort((a, b) => a.version - b.version);
+    const incoming = data.settings && typeof data.settings === 'object' ? { ...data.settings } : {};
+    upgrades.forEach(m => m.upgrade(incoming));
 
-    // Shortcut Logic
-    let recording = false;
-    els.shortcut.addEventListener('focus', () => {
-      els.shortcut.classList.add('recording');
-      els.shortcut.value = 'Press keys...';
-      recording = true;
-    });
-    
-    els.shortcut.addEventListener('blur', () => {
-      els.shortcut.classList.remove('recording');
-      if (els.shortcut.value === 'Press keys...') {
-        els.shortcut.value = this.settings.shortcut;
+    result.settings = { ...this.globalSettings_ };
+    Object.keys(incoming).forEach(name => {
+      if (!K_SETTINGS_SCHEMA[name]) {
+        result.warnings.push(this.t_('import.unknownSetting', { name }));
+        return;
       }
-      recording = false;
+      const { value, error } = this.normalizeSetting_(name, incoming[name]);
+      if (error) result.warnings.push(this.t_('import.usingValue', { error, value }));
+      result.settings[name] = value;
     });
 
-    els.shortcut.addEventListener('keydown', (e) => {
-      if (!recording) return;
-      e.preventDefault();
-      e.stopPropagation();
+    // An export without profiles leaves the local ones alone
+    if (!('profiles' in data)) {
+      result.profiles = JSON.parse(JSON.stringify(this.siteProfiles_));
+      return result;
+    }
 
-      const parts = [];
-      if (e.ctrlKey) parts.push('Ctrl');
-      if (e.altKey) parts.push('Alt');
-      if (e.shiftKey) parts.push('Shift');
-      if (e.metaKey) parts.push('Meta');
-      
-      if (['Control', 'Alt', 'Shift', 'Meta'].includes(e.key)) return;
+    result.profiles = {};
+    const profiles = data.profiles && typeof data.profiles === 'object' ? data.profiles : {};
+    Object.keys(profiles).forEach(siteKey => {
+      const overrides = { ...profiles[siteKey] };
+      upgrades.forEach(m => m.upgrade(overrides));
+      Object.keys(overrides).forEach(name => {
+        const { error } = K_PROFILE_KEYS.includes(name)
+          ? this.normalizeSetting_(name, overrides[name])
+          : { error: this.t_('import.notPerSite', { name }) };
+        if (error) result.warnings.push(this.t_('import.siteSkipped', { site: siteKey, error }));
+      });
+      const clean = this.cleanSiteProfile_(overrides);
+      if (Object.keys(clean).length) result.profiles[siteKey] = clean;
+    });
+
+    return result;
+  },
 
-      parts.push(e.key.length === 1 ? e.key.toUpperCase() : e.key);
-      els.shortcut.value = parts.join('+');
-      els.shortcut.blur();
+  describeSettingsChanges_(imported) {
+    const changes = [];
+    Object.keys(K_SETTINGS_SCHEMA).forEach(name => {
+      const before = this.globalSettings_[name];
+      const after = imported.settings[name];
+      if (JSON.stringify(before) === JSON.stringify(after)) return;
+      const show = v => JSON.stringify(v).slice(0, 40);
+      changes.push(`${this.t_(`setting.${name}`)}: ${show(before)} → ${show(after)}`);
     });
 
-    const closeFn = () => modal.remove();
-    els.close.onclick = els.overlay.onclick = els.cancel.onclick = closeFn;
+    const sites = new Set([...Object.keys(this.siteProfiles_), ...Object.keys(imported.profiles)]);
+    sites.forEach(siteKey => {
+      const before = this.siteProfiles_[siteKey];
+      const after = imported.profiles[siteKey];
+      if (!before) {
+        changes.push(this.t_('import.profileAdded', { site: siteKey }));
+      } else if (!after) {
+        changes.push(this.t_('import.profileRemoved', { site: siteKey }));
+      } else if (JSON.stringify(before) !== JSON.stringify(after)) {
+        changes.push(this.t_('import.profileChanged', { site: siteKey }));
+      }
+    });
+    return changes;
+  },
 
-    els.save.onclick = () => {
-      this.settings.autoPip = els.autoEnable.checked;
-      this.settings.autoDelay = parseInt(els.autoDelay.value, 10) || 1000;
-      this.settings.minDuration = parseInt(els.minDur.value, 10) || 10;
-      this.settings.minWidth = parseInt(els.minWidth.value, 10) || 200;
-      this.settings.minHeight = parseInt(els.minHeight.value, 10) || 150;
-      this.settings.hideButtonWhenActive = els.hideWhenActive.checked;
-      this.settings.position = selectedPos;
-      this.settings.opacity = parseFloat(els.opacity.value);
-      this.settings.seekInterval = parseInt(els.seek.value, 10) || 10;
-      this.settings.shortcut = els.shortcut.value !== 'Press keys...' ? els.shortcut.value : '';
-      this.settings.blacklist = els.blacklist.value;
+  applySettingsImport_(imported) {
+    this.globalSettings_ = imported.settings;
+    this.siteProfiles_ = imported.profiles;
+    this.applySiteProfile_();
+    this.saveSettings_();
+  },
 
-      this.saveSettings_();
-      closeFn();
-      this.showToast_('Settings Saved Successfully');
-    };
+  escapeHtml_(text) {
+    return String(text).replace(/[&<>"']/g, c => ({
+      '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;'
+    })[c]);
   },
 
-  showToast_(message) {
+  // action: optional { label, run } shown as a button; such toasts stay up longer to be reachable
+  showToast_(message, action = null) {
     if (!this.root_) return;
     
     const toast = document.createElement('div');
     toast.className = 'pip-toast';
+    toast.lang = this.getLanguage_();
+    toast.dir = this.isRtl_() ? 'rtl' : 'ltr';
     toast.textContent = message;
     this.root_.appendChild(toast);
-    
-    setTimeout(() => toast.classList.add('show'), 10);
-    setTimeout(() => {
+
+    let hideTimer = null;
+    const hide = () => {
+      clearTimeout(hideTimer);
       toast.classList.remove('show');
       setTimeout(() => toast.remove(), 300);
-    }, 2000);
+    };
+    if (action) {
+      // The live region reads the message; the button stays reachable for keyboard users
+      const btn = document.createElement('button');
+      btn.type = 'button';
+      btn.className = 'pip-toast-action';
+      btn.textContent = action.label;
+      btn.addEventListener('click', (e) => {
+        e.preventDefault();
+        e.stopPropagation();
+        hide();
+        action.run();
+      }, { once: true });
+      toast.append(' ', btn);
+      toast.classList.add('has-action');
+    } else {
+      toast.setAttribute('aria-hidden', 'true');
+    }
+
+    // Cleared first so a repeated message is announced again
+    if (this.liveRegion_) this.liveRegion_.textContent = '';
+    setTimeout(() => {
+      toast.classList.add('show');
+      if (this.liveRegion_) this.liveRegion_.textContent = message;
+    }, 10);
+    hideTimer = setTimeout(hide, action ? 6000 : 2000);
   },
 
   onFullscreenChange() {
@@ -761,8 +5262,14 @@ const PIP = {
   },
 
   registerVideo(video) {
-    if (!video || this.seenVideoElements_.has(video)) return;
-    
+    if (!video || this.videos_.has(video)) return;
+
+    this.videos_.add(video);
+    if (this.visibilityObserver_) this.visibilityObserver_.observe(video);
+    if (this.resizeObserver_) this.resizeObserver_.observe(video);
+
+    // A moved element comes back through here with its listeners still attached
+    if (this.seenVideoElements_.has(video)) return;
     this.seenVideoElements_.add(video);
     
     try { 
@@ -770,21 +5277,43 @@ const PIP = {
       video.disablePictureInPicture = false; 
     } catch(_) {}
     
-    video.addEventListener('mousemove', (e) => this.videoOver(e), { passive: true });
-    video.addEventListener('mouseout', (e) => this.videoOut(e), { passive: true });
+    const { signal } = this.abort_;
+    video.addEventListener('mousemove', (e) => this.videoOver(e), { passive: true, signal });
+    video.addEventListener('mouseout', (e) => this.videoOut(e), { passive: true, signal });
     video.addEventListener('play', () => {
+      // Only plays the user started count as interaction, not autoplay
+      if (!navigator.userActivation || navigator.userActivation.isActive) {
+        this.noteInteraction_(video);
+      }
       if (this.hoveredVideo === video) {
         this.showButtonOver(video);
       }
-    }, { passive: true });
+      // Playback may start while the video is already out of view
+      this.checkScrollPip_(video);
+      this.checkAdHandover_(video);
+      this.checkFollow_();
+    }, { passive: true, signal });
   },
 
+  // Full scan, for startup and frame navigations; later changes go through onMutations_
   scanAndRegisterVideos() {
     if (!this.pipButton_) {
       this.createPipButton();
     }
-    
-    document.querySelectorAll('video').forEach(v => this.registerVideo(v));
+    this.lastFullScan_ = Date.now();
+
+    this.videos_.forEach(v => {
+      if (!this.isInPage_(v)) this.unregisterVideo_(v);
+    });
+    this.frameScopes_.forEach((scope, frame) => {
+      if (!frame.isConnected) this.releaseFrame_(frame);
+    });
+    this.collectRoots_().forEach(root => {
+      this.observeRoot_(root);
+      root.querySelectorAll('video').forEach(v => this.registerVideo(v));
+      root.querySelectorAll(':not(:defined)').forEach(el => this.watchUpgrade_(el));
+    });
+    this.checkFollow_();
   },
 
   // —— UI Creation ——
@@ -813,14 +5342,40 @@ const PIP = {
         z-index: ${K_MAX_Z_INDEX} !important; 
         font-family: -apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, Helvetica, Arial, sans-serif !important;
         pointer-events: none !important;
+
+        --pip-scheme: dark;
+        --pip-accent: #ef3939;
+        --pip-accent-text: #fff;
+        --pip-accent-hover: color-mix(in srgb, var(--pip-accent) 88%, #000);
+        --pip-accent-glow: color-mix(in srgb, var(--pip-accent) 40%, transparent);
+        --pip-accent-soft-bg: color-mix(in srgb, var(--pip-accent) 12%, var(--pip-bg));
+        --pip-accent-soft-border: color-mix(in srgb, var(--pip-accent) 30%, var(--pip-bg));
+        --pip-bg: #1a1a1a;
+        --pip-bg-raised: #222;
+        --pip-bg-sunken: #1f1f1f;
+        --pip-field: #2a2a2a;
+        --pip-border: #333;
+        --pip-border-strong: #444;
+        --pip-border-hover: #666;
+        --pip-text: #e0e0e0;
+        --pip-text-strong: #fff;
+        --pip-text-soft: #ccc;
+        --pip-text-dim: #aaa;
+        --pip-text-muted: #888;
+        --pip-warn: #ffcc80;
+        --pip-warn-bg: #2a2210;
+        --pip-warn-border: #5a4515;
+        --pip-error: #ff6b6b;
+        --pip-error-text: #ef9a9a;
+        --pip-overlay: rgba(0,0,0,0.7);
       }
       
       .vivaldi-picture-in-picture-container {
         all: initial;
         position: absolute !important; 
         cursor: pointer !important; 
-        height: ${K_BUTTON_SIZE + 7}px !important; 
-        width: ${K_BUTTON_SIZE + 26}px !important;
+        height: calc(var(--pip-button-size) + 7px) !important; 
+        width: calc(var(--pip-button-size) + 26px) !important;
         transition: opacity 0.2s ease !important;
         pointer-events: auto !important;
         z-index: ${K_MAX_Z_INDEX} !important;
@@ -830,15 +5385,11 @@ const PIP = {
         all: initial;
         display: block !important;
         position: absolute !important;
-        width: ${K_BUTTON_SIZE}px !important; 
-        height: ${K_BUTTON_SIZE}px !important;
+        width: var(--pip-button-size) !important; 
+        height: var(--pip-button-size) !important;
         background: rgba(15, 15, 15, 0.9) !important;
         border: 1px solid rgba(255,255,255,0.15) !important;
         border-radius: 6px !important;
-        background-image: url(data:image/svg+xml;base64,PHN2ZyB4bWxucz0iaHR0cDovL3d3dy53My5vcmcvMjAwMC9zdmciIHdpZHRoPSIyNHB4IiBoZWlnaHQ9IjI0cHgiIHZpZXdCb3g9IjAgMCAyNCAyNCIgZmlsbD0iI2ZmZmZmZiI+PHBhdGggZD0iTTE5IDExaC04djZoOHYtNnptNCA4VjQuOThDMjMgMy44OCAyMi4xIDMgMjEgM0gzYy0xLjEgMC0yIC44OC0yIDEuOThWMTljMCAxLjEuOSAyIDIgMmgxOGMxLjEgMCAyLS45IDItMnptLTIgLjAySDJWNC45N2gxOHYxNC4wNXoiLz48L3N2Zz4=) !important;
-        background-size: 20px !important; 
-        background-repeat: no-repeat !important; 
-        background-position: center !important;
         box-shadow: 0 4px 12px rgba(0,0,0,0.4) !important;
         transition: all 0.2s !important;
         backdrop-filter: blur(4px) !important;
@@ -846,11 +5397,126 @@ const PIP = {
         pointer-events: auto !important;
       }
       
+      .vivaldi-picture-in-picture-button::before, .pip-theme-preview::before {
+        content: '' !important;
+        position: absolute !important;
+        inset: 0 !important;
+        background: #fff !important;
+        -webkit-mask: var(--pip-icon) center / calc(var(--pip-button-size) * 0.53) no-repeat !important;
+        mask: var(--pip-icon) center / calc(var(--pip-button-size) * 0.53) no-repeat !important;
+      }
+
+      .vivaldi-picture-in-picture-button:hover::before, .pip-theme-preview.hover::before {
+        background: var(--pip-accent-text) !important;
+      }
+      
+      .vivaldi-picture-in-picture-container.pinned {
+        position: fixed !important;
+      }
+
+      .pip-toolbar {
+        all: initial;
+        position: absolute !important;
+        top: 0 !important;
+        left: var(--pip-button-size) !important;
+        display: flex !important;
+        gap: 4px !important;
+        padding: 0 4px !important;
+        opacity: 0 !important;
+        visibility: hidden !important;
+        transition: opacity 0.15s ease, visibility 0s linear 0.15s !important;
+        pointer-events: auto !important;
+      }
+
+      .toolbar-start .pip-toolbar {
+        left: auto !important;
+        right: 100% !important;
+        flex-direction: row-reverse !important;
+      }
+
+      .vivaldi-picture-in-picture-container:hover .pip-toolbar,
+      .vivaldi-picture-in-picture-container:focus-within .pip-toolbar {
+        opacity: 1 !important;
+        visibility: visible !important;
+        transition: opacity 0.15s ease !important;
+      }
+
+      .pip-tool {
+        all: initial;
+        position: relative !important;
+        box-sizing: border-box !important;
+        min-width: var(--pip-button-size) !important;
+        height: var(--pip-button-size) !important;
+        padding: 0 6px !important;
+        background: rgba(15, 15, 15, 0.9) !important;
+        border: 1px solid rgba(255,255,255,0.15) !important;
+        border-radius: 6px !important;
+        box-shadow: 0 4px 12px rgba(0,0,0,0.4) !important;
+        color: #fff !important;
+        font: 600 12px/1 -apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, Helvetica, Arial, sans-serif !important;
+        text-align: center !important;
+        cursor: pointer !important;
+        transition: all 0.2s !important;
+      }
+
+      .pip-tool::before {
+        content: '' !important;
+        position: absolute !important;
+        inset: 0 !important;
+        background: #fff !important;
+        -webkit-mask: var(--pip-tool-icon) center / calc(var(--pip-button-size) * 0.47) no-repeat !important;
+        mask: var(--pip-tool-icon) center / calc(var(--pip-button-size) * 0.47) no-repeat !important;
+      }
+
+      .pip-tool[data-action="speed"]::before { display: none !important; }
+
+      .pip-tool:hover, .pip-tool[aria-pressed="true"] {
+        background-color: var(--pip-accent) !important;
+        border-color: var(--pip-accent) !important;
+        color: var(--pip-accent-text) !important;
+      }
+
+      .pip-tool:hover::before, .pip-tool[aria-pressed="true"]::before {
+        background: var(--pip-accent-text) !important;
+      }
+
+      .pip-tool:focus-visible {
+        outline: 2px solid #fff !important;
+        outline-offset: 2px !important;
+      }
+
+      .vivaldi-picture-in-picture-container:focus-within {
+        opacity: 1 !important;
+        pointer-events: auto !important;
+      }
+
+      .vivaldi-picture-in-picture-button:focus-visible {
+        outline: 2px solid #fff !important;
+        outline-offset: 2px !important;
+      }
+
+      .pip-live-region {
+        position: absolute !important;
+        width: 1px !important;
+        height: 1px !important;
+        overflow: hidden !important;
+        clip-path: inset(50%) !important;
+        white-space: nowrap !important;
+      }
+      
       .vivaldi-picture-in-picture-button:hover {
-        background-color: #ef3939 !important;
+        background-color: var(--pip-accent) !important;
         transform: scale(1.05) !important;
-        border-color: #ef3939 !important;
+        border-color: var(--pip-accent) !important;
+      }
+
+      .vivaldi-picture-in-picture-button[data-action="speed"] {
+        color: #fff !important;
+        font: 600 12px/var(--pip-button-size) -apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, Helvetica, Arial, sans-serif !important;
+        text-align: center !important;
       }
+
+      .vivaldi-picture-in-picture-button[data-action="speed"]::before { display: none !important; }
       
       .transparent { 
         opacity: 0 !important; 
@@ -877,12 +5543,13 @@ const PIP = {
         align-items: center !important;
         font-size: 14px !important;
         font-family: -apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, Helvetica, Arial, sans-serif !important;
+        color-scheme: var(--pip-scheme) !important;
       }
       
       .pip-modal-overlay { 
         position: absolute !important; 
         inset: 0 !important; 
-        background: rgba(0,0,0,0.7) !important; 
+        background: var(--pip-overlay) !important; 
         backdrop-filter: blur(3px) !important; 
       }
       
@@ -890,11 +5557,11 @@ const PIP = {
         position: relative !important; 
         width: 600px !important; 
         max-width: 90vw !important;
-        background: #1a1a1a !important; 
-        color: #e0e0e0 !important;
+        background: var(--pip-bg) !important; 
+        color: var(--pip-text) !important;
         border-radius: 8px !important; 
         box-shadow: 0 20px 50px rgba(0,0,0,0.6) !important;
-        border: 1px solid #333 !important; 
+        border: 1px solid var(--pip-border) !important; 
         overflow: hidden !important;
         animation: slideUp 0.25s cubic-bezier(0.16, 1, 0.3, 1) !important;
       }
@@ -909,22 +5576,22 @@ const PIP = {
         justify-content: space-between !important; 
         align-items: center !important;
         padding: 16px 24px !important; 
-        background: #222 !important; 
-        border-bottom: 1px solid #333 !important;
+        background: var(--pip-bg-raised) !important; 
+        border-bottom: 1px solid var(--pip-border) !important;
       }
       
       .pip-modal-header h3 { 
         margin: 0 !important; 
         font-size: 16px !important; 
         font-weight: 600 !important; 
-        color: #fff !important; 
+        color: var(--pip-text-strong) !important; 
         letter-spacing: 0.5px !important; 
       }
       
       .pip-modal-close { 
         background: none !important; 
         border: none !important; 
-        color: #888 !important; 
+        color: var(--pip-text-muted) !important; 
         font-size: 24px !important; 
         cursor: pointer !important; 
         transition: color 0.2s !important; 
@@ -932,7 +5599,65 @@ const PIP = {
         padding: 0 !important;
       }
       
-      .pip-modal-close:hover { color: #fff !important; }
+      .pip-modal-close:hover { color: var(--pip-text-strong) !important; }
+
+      .pip-scope-bar {
+        display: flex !important;
+        align-items: center !important;
+        gap: 8px !important;
+        padding: 10px 24px !important;
+        background: var(--pip-bg-sunken) !important;
+        border-bottom: 1px solid var(--pip-border) !important;
+      }
+
+      button.pip-scope-btn {
+        background: transparent !important;
+        color: var(--pip-text-dim) !important;
+        border: 1px solid var(--pip-border-strong) !important;
+        padding: 5px 14px !important;
+        border-radius: 4px !important;
+        font-size: 12px !important;
+        cursor: pointer !important;
+      }
+
+      button.pip-scope-btn.active {
+        background: var(--pip-accent) !important;
+        border-color: var(--pip-accent) !important;
+        color: var(--pip-accent-text) !important;
+      }
+
+      button.pip-scope-btn:disabled { opacity: 0.4 !important; cursor: default !important; }
+
+      .pip-scope-info {
+        font-size: 12px !important;
+        color: var(--pip-text-muted) !important;
+        overflow: hidden !important;
+        text-overflow: ellipsis !important;
+        white-space: nowrap !important;
+      }
+
+      .pip-scope-badge {
+        display: inline-block !important;
+        margin-inline-start: 6px !important;
+        padding: 1px 6px !important;
+        border-radius: 8px !important;
+        font-size: 10px !important;
+        font-weight: 600 !important;
+        text-transform: none !important;
+        letter-spacing: 0 !important;
+        color: var(--pip-text-muted) !important;
+        border: 1px solid var(--pip-border-strong) !important;
+        cursor: default !important;
+      }
+
+      .pip-scope-badge[hidden] { display: none !important; }
+
+      .pip-scope-badge.overridden {
+        color: var(--pip-accent-text) !important;
+        background: var(--pip-accent) !important;
+        border-color: var(--pip-accent) !important;
+        cursor: pointer !important;
+      }
 
       .pip-modal-body { 
         padding: 24px !important; 
@@ -958,10 +5683,10 @@ const PIP = {
         font-size: 12px !important; 
         text-transform: uppercase !important; 
         letter-spacing: 1px !important;
-        color: #888 !important; 
+        color: var(--pip-text-muted) !important; 
         margin-bottom: 12px !important; 
         font-weight: 700 !important; 
-        border-bottom: 1px solid #333 !important; 
+        border-bottom: 1px solid var(--pip-border) !important; 
         padding-bottom: 4px !important; 
         width: 100% !important;
       }
@@ -985,7 +5710,7 @@ const PIP = {
         flex-direction: column !important; 
         gap: 5px !important; 
         font-size: 13px !important; 
-        color: #ccc !important; 
+        color: var(--pip-text-soft) !important; 
         flex: 1 !important;
       }
       
@@ -1000,21 +5725,21 @@ const PIP = {
       .pip-label {
         display: block !important;
         font-size: 13px !important;
-        color: #ccc !important;
+        color: var(--pip-text-soft) !important;
         margin-bottom: 6px !important;
       }
       
       input[type="checkbox"] { 
         width: 16px !important; 
         height: 16px !important; 
-        accent-color: #ef3939 !important; 
+        accent-color: var(--pip-accent) !important; 
         cursor: pointer !important; 
       }
       
       input[type="number"], input[type="text"] {
-        background: #2a2a2a !important; 
-        border: 1px solid #444 !important; 
-        color: #fff !important;
+        background: var(--pip-field) !important; 
+        border: 1px solid var(--pip-border-strong) !important; 
+        color: var(--pip-text-strong) !important;
         padding: 8px 10px !important; 
         border-radius: 4px !important; 
         width: 100% !important; 
@@ -1024,20 +5749,56 @@ const PIP = {
       }
       
       input[type="number"]:focus, input[type="text"]:focus, textarea:focus { 
-        border-color: #ef3939 !important; 
+        border-color: var(--pip-accent) !important; 
         outline: none !important; 
       }
       
       input[type="range"] { 
-        accent-color: #ef3939 !important; 
+        accent-color: var(--pip-accent) !important; 
         width: 140px !important; 
       }
+
+      select {
+        background: var(--pip-field) !important;
+        border: 1px solid var(--pip-border-strong) !important;
+        color: var(--pip-text-strong) !important;
+        padding: 6px 8px !important;
+        border-radius: 4px !important;
+        font-size: 13px !important;
+        width: 140px !important;
+      }
+
+      select:focus {
+        border-color: var(--pip-accent) !important;
+        outline: none !important;
+      }
+
+      .pip-notice {
+        font-size: 12px !important;
+        color: var(--pip-warn) !important;
+        background: var(--pip-warn-bg) !important;
+        border: 1px solid var(--pip-warn-border) !important;
+        border-radius: 4px !important;
+        padding: 8px 10px !important;
+        margin-bottom: 16px !important;
+      }
+
+      input.invalid, select.invalid, textarea.invalid {
+        border-color: var(--pip-error) !important;
+        box-shadow: 0 0 0 1px var(--pip-error) !important;
+      }
+
+      .pip-hint {
+        font-size: 12px !important;
+        color: var(--pip-text-muted) !important;
+        margin: -6px 0 12px !important;
+      }
       
       textarea {
         width: 100% !important; 
-        background: #2a2a2a !important; 
-        border: 1px solid #444 !important; 
-        color: #fff !important;
+        background: var(--pip-field) !important; 
+        border: 1px solid var(--pip-border-strong) !important; 
+        color: var(--pip-text-strong) !important;
         padding: 10px !important; 
         border-radius: 4px !important; 
         resize: vertical !important; 
@@ -1046,65 +5807,195 @@ const PIP = {
         box-sizing: border-box !important;
       }
       
+      .pip-keymap {
+        display: flex !important;
+        flex-direction: column !important;
+        gap: 6px !important;
+        margin-bottom: 12px !important;
+      }
+
+      .pip-key-row {
+        display: grid !important;
+        grid-template-columns: 150px 1fr 28px !important;
+        align-items: center !important;
+        gap: 8px !important;
+        font-size: 13px !important;
+        color: var(--pip-text-soft) !important;
+      }
+
+      .pip-key-row .shortcut-input { padding: 5px 8px !important; }
+
+      .pip-toolbar-list {
+        display: flex !important;
+        flex-direction: column !important;
+        gap: 4px !important;
+        margin-bottom: 12px !important;
+      }
+
+      .pip-toolbar-row {
+        display: grid !important;
+        grid-template-columns: 1fr 28px 28px !important;
+        align-items: center !important;
+        gap: 6px !important;
+        font-size: 13px !important;
+        color: var(--pip-text-soft) !important;
+      }
+
+      .pip-toolbar-row .pip-row { margin-bottom: 0 !important; }
+
+      .pip-toolbar-list.invalid { outline: 1px solid var(--pip-error) !important; }
+
+      button.pip-key-clear, button.pip-order-btn {
+        background: transparent !important;
+        border: 1px solid var(--pip-border-strong) !important;
+        color: var(--pip-text-muted) !important;
+        border-radius: 4px !important;
+        cursor: pointer !important;
+        height: 28px !important;
+      }
+
+      button.pip-key-clear:hover, button.pip-order-btn:hover { color: var(--pip-text-strong) !important; border-color: var(--pip-border-hover) !important; }
+
+      .pip-key-conflict {
+        grid-column: 2 / 4 !important;
+        font-size: 11px !important;
+        color: var(--pip-warn) !important;
+      }
+
+      .pip-key-conflict:empty { display: none !important; }
+
       .shortcut-input { 
         text-align: center !important; 
         font-weight: 600 !important; 
         cursor: pointer !important; 
-        color: #ef3939 !important; 
-        background: #251010 !important; 
-        border-color: #521515 !important; 
+        color: var(--pip-accent) !important; 
+        background: var(--pip-accent-soft-bg) !important; 
+        border-color: var(--pip-accent-soft-border) !important; 
       }
       
       .shortcut-input.recording { 
-        background: #ef3939 !important; 
-        color: #fff !important; 
-        border-color: #ef3939 !important; 
+        background: var(--pip-accent) !important; 
+        color: var(--pip-accent-text) !important; 
+        border-color: var(--pip-accent) !important; 
       }
 
       .pip-pos-grid {
+        direction: ltr !important;
         display: grid !important; 
         grid-template-columns: repeat(3, 30px) !important; 
         grid-template-rows: repeat(3, 30px) !important; 
         gap: 6px !important;
-        background: #2a2a2a !important; 
+        background: var(--pip-field) !important; 
         padding: 10px !important; 
         border-radius: 8px !important; 
-        border: 1px solid #444 !important;
+        border: 1px solid var(--pip-border-strong) !important;
       }
       
       .pip-pos-cell {
-        background: #444 !important; 
+        background: var(--pip-border-strong) !important; 
         border-radius: 3px !important; 
         cursor: pointer !important; 
         transition: all 0.2s !important;
       }
       
-      .pip-pos-cell:hover { background: #666 !important; }
+      .pip-pos-cell:hover { background: var(--pip-border-hover) !important; }
+
+      .pip-pos-cell:focus-visible, .pip-scope-badge:focus-visible {
+        outline: 2px solid var(--pip-text-strong) !important;
+        outline-offset: 2px !important;
+      }
       
       .pip-pos-cell.active { 
-        background: #ef3939 !important; 
-        box-shadow: 0 0 8px rgba(239, 57, 57, 0.4) !important; 
+        background: var(--pip-accent) !important; 
+        box-shadow: 0 0 8px var(--pip-accent-glow) !important; 
         transform: scale(1.1) !important; 
       }
       
       .pip-pos-spacer { pointer-events: none !important; }
+
+      .pip-accent {
+        display: flex !important;
+        gap: 6px !important;
+        align-items: center !important;
+      }
+
+      input[type="color"] {
+        width: 34px !important;
+        height: 26px !important;
+        padding: 0 2px !important;
+        background: var(--pip-field) !important;
+        border: 1px solid var(--pip-border-strong) !important;
+        border-radius: 4px !important;
+        cursor: pointer !important;
+      }
+      input[type="color"]:disabled { opacity: 0.4 !important; cursor: default !important; }
+
+      .pip-custom-icon[hidden] { display: none !important; }
+
+      .pip-theme-preview-row {
+        display: flex !important;
+        align-items: center !important;
+        gap: 10px !important;
+        margin-top: 10px !important;
+        color: var(--pip-text-soft) !important;
+      }
+
+      .pip-theme-preview {
+        position: relative !important;
+        width: var(--pip-button-size) !important;
+        height: var(--pip-button-size) !important;
+        background: rgba(15, 15, 15, 0.9) !important;
+        border: 1px solid rgba(255,255,255,0.15) !important;
+        border-radius: 6px !important;
+        box-sizing: border-box !important;
+      }
+
+      .pip-theme-preview.hover {
+        background: var(--pip-accent) !important;
+        border-color: var(--pip-accent) !important;
+      }
       
       .pip-group {
         margin-top: 16px !important;
       }
 
+      .pip-hint-block {
+        margin: 6px 0 10px !important;
+      }
+
+      .pip-rule-test,
+      .pip-sizes {
+        display: flex !important;
+        flex-direction: column !important;
+        gap: 6px !important;
+      }
+
+      .pip-rule-result {
+        font-family: monospace !important;
+        font-size: 12px !important;
+        color: var(--pip-text-dim) !important;
+        white-space: pre-wrap !important;
+      }
+
+      .pip-rule-result.error { color: var(--pip-error-text) !important; }
+
+      .pip-sizes {
+        margin-top: 12px !important;
+        font-size: 13px !important;
+      }
+
       .pip-modal-footer {
         padding: 16px 24px !important; 
-        background: #222 !important; 
-        border-top: 1px solid #333 !important;
+        background: var(--pip-bg-raised) !important; 
+        border-top: 1px solid var(--pip-border) !important;
         display: flex !important; 
         justify-content: flex-end !important; 
         gap: 12px !important;
       }
       
       button.pip-btn-save {
-        background: #ef3939 !important; 
-        color: #fff !important; 
+        background: var(--pip-accent) !important; 
+        color: var(--pip-accent-text) !important; 
         border: none !important; 
         padding: 9px 20px !important;
         border-radius: 4px !important; 
@@ -1114,12 +6005,54 @@ const PIP = {
         transition: background 0.2s !important;
       }
       
-      button.pip-btn-save:hover { background: #d63030 !important; }
+      button.pip-btn-save:hover { background: var(--pip-accent-hover) !important; }
+
+      .pip-footer-tools {
+        display: flex !important;
+        gap: 6px !important;
+        margin-inline-end: auto !important;
+      }
+
+      .pip-import-actions {
+        display: flex !important;
+        gap: 6px !important;
+        margin-top: 8px !important;
+      }
+
+      .pip-import-panel[hidden] { display: none !important; }
+
+      button.pip-btn-tool,
+      button.pip-reset-section {
+        background: transparent !important;
+        color: var(--pip-text-dim) !important;
+        border: 1px solid var(--pip-border-strong) !important;
+        padding: 6px 10px !important;
+        border-radius: 4px !important;
+        cursor: pointer !important;
+        font-size: 12px !important;
+        transition: all 0.2s !important;
+      }
+
+      button.pip-btn-tool:hover,
+      button.pip-reset-section:hover {
+        border-color: var(--pip-border-hover) !important;
+        color: var(--pip-text-strong) !important;
+      }
+
+      button.pip-btn-tool:disabled { opacity: 0.4 !important; cursor: default !important; }
+
+      button.pip-reset-section {
+        float: right !important;
+        padding: 0 6px !important;
+        font-size: 10px !important;
+        text-transform: none !important;
+        letter-spacing: 0 !important;
+      }
       
       button.pip-btn-cancel {
         background: transparent !important; 
-        color: #aaa !important; 
-        border: 1px solid #444 !important;
+        color: var(--pip-text-dim) !important; 
+        border: 1px solid var(--pip-border-strong) !important;
         padding: 9px 20px !important; 
         border-radius: 4px !important; 
         cursor: pointer !important; 
@@ -1128,8 +6061,8 @@ const PIP = {
       }
       
       button.pip-btn-cancel:hover { 
-        border-color: #666 !important; 
-        color: #fff !important; 
+        border-color: var(--pip-border-hover) !important; 
+        color: var(--pip-text-strong) !important; 
       }
 
       .pip-toast {
@@ -1138,11 +6071,11 @@ const PIP = {
         bottom: 40px !important; 
         left: 50% !important; 
         transform: translateX(-50%) translateY(20px) !important;
-        background: #222 !important; 
-        color: #fff !important; 
+        background: var(--pip-bg-raised) !important; 
+        color: var(--pip-text-strong) !important; 
         padding: 12px 24px !important; 
         border-radius: 4px !important;
-        border-left: 4px solid #ef3939 !important; 
+        border-inline-start: 4px solid var(--pip-accent) !important; 
         opacity: 0 !important; 
         transition: all 0.3s !important; 
         pointer-events: none !important;
@@ -1157,25 +6090,65 @@ const PIP = {
         opacity: 1 !important; 
         transform: translateX(-50%) translateY(0) !important; 
       }
+
+      .pip-toast.has-action { pointer-events: auto !important; }
+
+      .pip-toast-action {
+        all: initial;
+        margin-inline-start: 12px !important;
+        padding: 4px 10px !important;
+        border: 1px solid var(--pip-accent) !important;
+        border-radius: 4px !important;
+        color: var(--pip-accent) !important;
+        font: inherit !important;
+        font-weight: 600 !important;
+        cursor: pointer !important;
+      }
+
+      .pip-toast-action:hover, .pip-toast-action:focus-visible {
+        background: var(--pip-accent) !important;
+        color: #fff !important;
+      }
     `;
 
     this.root_.appendChild(style);
 
+    this.themeStyle_ = document.createElement('style');
+    this.root_.appendChild(this.themeStyle_);
+    this.applyTheme_();
+
     this.containerElm_ = document.createElement('div');
     this.containerElm_.className = 'vivaldi-picture-in-picture-container initial transparent';
     
     this.pipButton_ = document.createElement('div');
     this.pipButton_.className = 'vivaldi-picture-in-picture-button';
-    this.pipButton_.title = 'Toggle PiP (Right-click for Settings)';
+    this.pipButton_.setAttribute('role', 'button');
+    this.pipButton_.tabIndex = 0;
+    this.updateButtonTitle_();
+
+    this.liveRegion_ = document.createElement('div');
+    this.liveRegion_.className = 'pip-live-region';
+    this.liveRegion_.setAttribute('role', 'status');
+    this.liveRegion_.setAttribute('aria-live', 'polite');
     
-    this.containerElm_.appendChild(this.pipButton_);
-    this.root_.appendChild(this.containerElm_);
+    this.toolbar_ = document.createElement('div');
+    this.toolbar_.className = 'pip-toolbar';
+    this.toolbar_.setAttribute('role', 'toolbar');
+    this.renderToolbar_();
+
+    this.containerElm_.append(this.pipButton_, this.toolbar_);
+    this.root_.append(this.containerElm_, this.liveRegion_);
     document.documentElement.appendChild(this.host_);
 
     // Event Listeners
     this.containerElm_.addEventListener('mouseenter', () => this.buttonOver(), { passive: true });
     this.containerElm_.addEventListener('mouseleave', () => this.buttonOut(), { passive: true });
-    this.pipButton_.addEventListener('click', (e) => this.pipClicked(e));
+    this.pipButton_.addEventListener('click', (e) => this.onButtonClick_(e));
+    this.pipButton_.addEventListener('keydown', (e) => this.onButtonKey_(e));
+    this.pipButton_.addEventListener('focus', () => this.onButtonFocus_());
+    this.pipButton_.addEventListener('blur', () => this.createTimer());
+    this.toolbar_.addEventListener('focusin', () => this.buttonOver());
+    this.toolbar_.addEventListener('focusout', () => this.createTimer());
     this.pipButton_.addEventListener('contextmenu', (e) => {
       e.preventDefault();
       e.stopPropagation();
@@ -1191,38 +6164,103 @@ const PIP = {
       return;
     }
     
+    this.abort_ = new AbortController();
+    const { signal } = this.abort_;
     this.loadSettings_();
     
     // Global keyboard handler
-    document.addEventListener('keydown', (e) => this.handleGlobalKey_(e), true);
+    document.addEventListener('keydown', (e) => this.handleGlobalKey_(e), { capture: true, signal });
 
     // Global mousemove with throttling (for sites that block normal video events)
-    let lastMouseMove = 0;
-    document.addEventListener('mousemove', (e) => {
-      const now = Date.now();
-      if (now - lastMouseMove < 100) return; // Throttle to max 10 checks per second
-      lastMouseMove = now;
-      this.videoOver(e);
-    }, { passive: true });
+    document.addEventListener('mousemove', (e) => this.onMouseMove_(e), { passive: true, signal });
+    // Capture phase, since players often stop clicks from propagating
+    document.addEventListener('pointerdown', (e) => this.onPointerDown_(e), { capture: true, passive: true, signal });
 
     this.createPipButton();
+    this.setupTabSync_();
+    this.setupVideoTracking_();
+    // Also starts observing every discovered root for new videos
     this.scanAndRegisterVideos();
     this.setupAutoPip_();
 
-    // Observe DOM for new videos
-    const observer = new MutationObserver(() => {
-      this.scanAndRegisterVideos();
-    });
-    
-    observer.observe(document.documentElement, { 
-      childList: true, 
-      subtree: true 
-    });
-
     // Fullscreen handler
-    document.addEventListener('fullscreenchange', () => this.onFullscreenChange());
+    document.addEventListener('fullscreenchange', () => this.onFullscreenChange(), { signal });
 
     console.log('%c✓ PiP Enhanced v2.6 Loaded ', 'background: #ef3939; color: #fff; font-weight: bold; padding: 2px 6px; border-radius: 3px;');
+  },
+
+  // Undoes injectPip(). A native PiP window stays open, since the browser owns it;
+  // Document PiP is closed because its controls belong to this script.
+  destroy() {
+    if (!this.abort_) return;
+
+    this.cancelPendingPip_();
+    this.stopFollow_();
+    this.clearTimer();
+    clearTimeout(this.pipSizeTimer_);
+    this.pipSizeTimer_ = 0;
+    if (this.cancelScan_) this.cancelScan_();
+    this.cancelScan_ = null;
+    this.scanScheduled_ = false;
+    this.pendingNodes_.clear();
+    this.pendingRemoval_ = false;
+    this.pendingUpgrades_ = new WeakSet();
+
+    this.closeDocumentPip_();
+    if (this.lastPipElement && this.onPipExitBound) {
+      this.lastPipElement.removeEventListener('leavepictureinpicture', this.onPipExitBound);
+    }
+    this.removeMediaSession();
+    this.endPipControls_();
+    if (navigator.mediaSession) {
+      try { navigator.mediaSession.setActionHandler('enterpictureinpicture', null); } catch(_) {}
+    }
+    this.autoPipActionEnabled_ = false;
+    this.teardownTabSync_();
+
+    this.abort_.abort();
+    this.abort_ = null;
+    this.rootObservers_.forEach(observer => observer.disconnect());
+    this.rootObservers_ = [];
+    [...this.frameScopes_.keys()].forEach(frame => this.releaseFrame_(frame));
+    if (this.visibilityObserver_) this.visibilityObserver_.disconnect();
+    if (this.resizeObserver_) this.resizeObserver_.disconnect();
+    this.visibilityObserver_ = null;
+    this.resizeObserver_ = null;
+    this.clearAnchor_();
+
+    if (this.host_) this.host_.remove();
+    this.host_ = null;
+    this.root_ = null;
+    this.containerElm_ = null;
+    this.pipButton_ = null;
+    this.toolbar_ = null;
+    this.liveRegion_ = null;
+    this.themeStyle_ = null;
+    this.modalReturnFocus_ = null;
+
+    // Forget everything discovered, so a later injectPip() starts from scratch
+    this.seenVideoElements_ = new WeakSet();
+    this.observedRoots_ = new WeakSet();
+    this.seenFrames_ = new WeakSet();
+    this.videos_.clear();
+    this.onScreen_.clear();
+    this.visibleRatios_ = new WeakMap();
+    this.rectCache_ = new WeakMap();
+    this.siteRulesCache_ = null;
+    this.hoveredVideo = null;
+    this.activeVideoForPipClick = null;
+    this.keyTarget_ = null;
+    this.lastPipElement = null;
+    this.onPipExitBound = null;
+    this.pipWindow_ = null;
+    this.transitionPip_(K_PIP_IDLE);
+  },
+
+  // Rebuilds from scratch, re-reading the stored settings
+  reinit() {
+    this.destroy();
+    this.injectPip();
   }
 };
 